@@ -1,66 +1,47 @@
-import { getDateKey } from './common/time.js';
-import { saveStateToIDB, loadStateFromIDB, saveUsageToIDB, loadUsageForDate } from './common/idb.js';
+import { getDateKey, parseDateKey, getWeekStartKey, formatTimeRemaining } from './common/time.js';
+import {
+    saveStateToIDB, loadStateFromIDB, probeStorage, saveUsageToIDB, loadUsageForDate, savePoliciesToIDB, loadPoliciesFromIDB,
+    getAllUsageForExport, clearUsageInIDB, loadConfigValue, saveConfigValue, compactUsageInIDB, getAllAggregatesFromIDB,
+    restoreAggregatesToIDB, getStorageRecordsFromIDB, addUnlockToIDB, getAllUnlocksFromIDB, restoreUnlocksToIDB
+} from './common/idb.js';
+import {
+    SEC, MIN, HOUR, DEFAULT_POLICIES, ALLOWLIST_GROUP, groupLabel, splitLoosening, buildDomainMap, lookupGroup, lookupAllowlist, normalizePattern,
+    validatePolicies, parsePattern, patternToUrlRegex, hasRegexExceptions, mergeGroupChange, upgradeLegacyPolicy
+} from './common/policies.js';
+import { evaluateGroup, describeRules } from './common/rules.js';
+import { DEFAULT_CHALLENGE, issueChallenge, verifyChallenge } from './common/challenges.js';
+import { CURRENT_DATA_VERSION, migrateState, migrateUsageDay, runMigrations } from './common/migrations.js';
+import { DEFAULT_SETTINGS, withDefaultSettings, validateSettings, splitSettingsLoosening } from './common/settings.js';
+import { aggregateKey, addDayToAggregate, retentionCutoff } from './common/retention.js';
 
-const SEC = 1000;
-const MIN = 60 * SEC;
-const HOUR = 60 * MIN;
 const VIEW_SESSION_TIMEOUT = 60 * SEC;
 
-function buildDomainMap(policies) {
-    const map = new Map();
-    for (const [group, config] of Object.entries(policies)) {
-        for (const domain of config.hosts) {
-            map.set(domain, { group, config });
-        }
-    }
-    return map;
-}
-
-function lookupGroup(host, domainMap) {
-    if (domainMap.has(host)) {
-        return domainMap.get(host);
-    }
-
-    const parts = host.split('.');
-    for (let i = 1; i < parts.length - 1; i++) {
-        const suffix = parts.slice(i).join('.');
-        if (domainMap.has(suffix)) {
-            return domainMap.get(suffix);
-        }
-    }
-
-    return null;
-}
-
-const POLICIES = {
-    social: {
-        hosts: ['reddit.com', 'twitter.com', 'x.com'],
-        blockAlways: true,
-        graceDurationMs: 5 * MIN
-    },
-    streaming: {
-        hosts: ['youtube.com', 'disneyplus.com', 'paramountplus.com', 'max.com', 'hbomax.com', 'netflix.com'],
-        workHours: { start: 9, end: 17 },
-        workDays: [1, 2, 3, 4, 5],
-        lunchWindow: { start: 11, end: 15 },
-        lunchDurationMs: 45 * MIN,
-        maxLunchSessions: 3,
-        graceDurationMs: 5 * MIN,
-        eveningGraceDurationMs: 30 * MIN
-    },
-    hackerNews: {
-        hosts: ['news.ycombinator.com'],
-        workHours: { start: 9, end: 17 },
-        workDays: [1, 2, 3, 4, 5],
-        graceDurationMs: 5 * MIN
-    }
-};
+let policies = DEFAULT_POLICIES;
+let domainMap = buildDomainMap(policies);
 
-const domainMap = buildDomainMap(POLICIES);
+let settings = withDefaultSettings(null);
+// Loosening changes waiting for the policy lock delay, see savePolicies()
+let pendingChanges = [];
 
 let sessions = {};
 let usage = {};
 let viewSessions = {};
+// Visit starts per group for rules in visits mode: { [group]: [timestamp, ...] }
+let quotas = {};
+// Running focus session, see startFocus(): { startedAt, endsAt, challenge, suspended },
+// plus `attempt` once a challenge to end it early has been issued
+let focus = null;
+
+// Reported on the options page; filled in at startup and on each save
+const storageHealth = {
+    persisted: false,
+    probeOk: null,
+    usage: null,
+    quota: null,
+    lastSaved: null,
+    lastSaveError: null,
+    checkedAt: null
+};
 
 let ready = false;
 let readyPromise = null;
@@ -115,37 +96,56 @@ async function initialize() {
 
     const result = await waitForPersistenceResult();
     console.log('[Init] Persistent storage:', result.granted ? 'granted' : 'not granted', result);
+    storageHealth.persisted = result.granted;
 
     // Verify storage environment - don't throw on persist() denial
     try {
         const hasUnlimited = await chrome.permissions.contains({ permissions: ['unlimitedStorage'] });
         if (!hasUnlimited) throw new Error('unlimitedStorage missing from manifest');
 
-        await saveStateToIDB({
-            sessions: {},
-            viewSessions: {},
-            lastSaved: Date.now(),
-            dataVersion: '4.0.0'
-        });
-
-        if (navigator.storage?.estimate) {
-            const { usage, quota } = await navigator.storage.estimate();
-            console.log('[Init] Storage estimate:', { usage, quota });
-        }
+        await checkStorageHealth();
+        if (!storageHealth.probeOk) throw new Error('IndexedDB did not return the value just written');
     } catch (e) {
         console.error('[Init] Storage environment check failed:', e);
         throw e;
     }
 
+    await runMigrations();
+    await loadPolicies();
+    await loadSettings();
+    await loadPendingChanges();
     await loadState();
+    await loadUnlocksThisWeek();
 
-    setupAlarms();
+    await loadTracking();
+    await syncContentScripts();
+
+    await setupAlarms();
+    await syncBlockingRules();
     ready = true;
     readyResolve();
 
+    // Picks up the current tab, and credits time missed while the worker was stopped
+    updateTracking().then(updateBadge).catch(error => console.error('[Init] Tracking update failed:', error));
+
     console.log('[Init] Initialization complete');
 }
 
+async function checkStorageHealth() {
+    storageHealth.probeOk = await probeStorage();
+    if (navigator.storage?.estimate) {
+        const { usage, quota } = await navigator.storage.estimate();
+        storageHealth.usage = usage;
+        storageHealth.quota = quota;
+    }
+    if (navigator.storage?.persisted) {
+        storageHealth.persisted = await navigator.storage.persisted();
+    }
+    storageHealth.checkedAt = Date.now();
+    console.log('[Storage] Health:', storageHealth);
+    return storageHealth;
+}
+
 async function ensureReady() {
     if (!ready) {
         if (!readyPromise) {
@@ -156,26 +156,35 @@ async function ensureReady() {
 }
 
 chrome.runtime.onSuspend.addListener(() => {
-    console.log('[Suspend] Extension suspending, saving state...');
+    // Nothing to flush before the state is loaded, and saving would overwrite it
+    if (!ready) return;
+    console.log('[Suspend] Extension suspending, flushing pending saves...');
     saveState();  // May not complete, but we try
 });
 
 function ensureUsageObject(host, date) {
     if (!usage[date]) usage[date] = {};
-    if (typeof usage[date][host] === 'number') {
-        usage[date][host] = { time: usage[date][host], views: 0, tempAccessCount: 0, lunchCount: 0, firstAccess: null, lastAccess: null };
-    }
     if (!usage[date][host]) {
         usage[date][host] = { time: 0, views: 0, tempAccessCount: 0, lunchCount: 0, firstAccess: null, lastAccess: null };
     }
-    if (!usage[date][host].hasOwnProperty('firstAccess')) {
-        usage[date][host].firstAccess = null;
-    }
-    if (!usage[date][host].hasOwnProperty('lastAccess')) {
-        usage[date][host].lastAccess = null;
-    }
-    if (!usage[date][host].hasOwnProperty('lunchCount')) {
-        usage[date][host].lunchCount = 0;
+}
+
+// Spreads time ending at endMs over the hour-of-day buckets it was spent in.
+// Time from before midnight stays in hour 0 since it is reported against today.
+function addToHourBuckets(entry, endMs, ms) {
+    if (ms <= 0) return;
+    const hours = entry.hours || (entry.hours = {});
+
+    let end = endMs;
+    let remaining = ms;
+    while (remaining > 0) {
+        const hourStart = new Date(end - 1);
+        hourStart.setMinutes(0, 0, 0);
+        const hour = hourStart.getHours();
+        const portion = hour === 0 ? remaining : Math.min(remaining, end - hourStart.getTime());
+        hours[hour] = (hours[hour] || 0) + portion;
+        remaining -= portion;
+        end = hourStart.getTime();
     }
 }
 
@@ -194,9 +203,117 @@ function getGroupFirstAccess(group, today) {
     return earliest;
 }
 
-function getTotalLunchCount(today) {
-    if (!usage[today] || !usage[today]['__lunch__']) return 0;
-    return usage[today]['__lunch__'].lunchCount || 0;
+// Foreground time actually recorded today across every host in the group.
+// Entries record time per group when the page URL was known; older ones only per host.
+function getGroupTrackedTime(group, today) {
+    if (!usage[today]) return 0;
+
+    let total = 0;
+    for (const [domain, data] of Object.entries(usage[today])) {
+        if (domain.startsWith('__')) continue;
+        if (data.groups) {
+            total += data.groups[group] || 0;
+        } else if (lookupGroup(domain, domainMap)?.group === group) {
+            total += data.time || 0;
+        }
+    }
+    return total;
+}
+
+function countLunches(day, group) {
+    const lunch = day?.['__lunch__'];
+    if (!lunch) return 0;
+    // Counts recorded before lunch sessions were tracked per group only have the total
+    return lunch.groups ? (lunch.groups[group] || 0) : (lunch.lunchCount || 0);
+}
+
+function getLunchCount(group, today) {
+    return countLunches(usage[today], group);
+}
+
+// Grace sessions started per group, kept like lunch sessions in a pseudo-domain of the day
+function getGraceTally(group, today) {
+    return usage[today]?.['__grace__']?.groups?.[group] || { count: 0, ms: 0, lastAt: null };
+}
+
+function recordGraceSession(group, durationMs, now) {
+    const today = getDateKey(new Date(now));
+    if (!usage[today]) usage[today] = {};
+    const grace = usage[today]['__grace__'] || (usage[today]['__grace__'] = { groups: {} });
+    const tally = getGraceTally(group, today);
+    grace.groups[group] = { count: tally.count + 1, ms: tally.ms + durationMs, lastAt: now };
+}
+
+// Grace and lunch sessions per group on the days of this week before today, for weekly
+// caps. Refreshed at startup, at midnight and after a restore.
+let graceEarlierThisWeek = {};
+let lunchEarlierThisWeek = {};
+
+async function loadUnlocksThisWeek() {
+    const today = getDateKey();
+    const grace = {};
+    const lunch = {};
+    for (const date = parseDateKey(getWeekStartKey(today)); getDateKey(date) < today; date.setDate(date.getDate() + 1)) {
+        const day = await loadUsageForDate(getDateKey(date));
+        for (const [group, tally] of Object.entries(day['__grace__']?.groups || {})) {
+            grace[group] = (grace[group] || 0) + tally.count;
+        }
+        for (const group of Object.keys(policies)) {
+            lunch[group] = (lunch[group] || 0) + countLunches(day, group);
+        }
+    }
+    graceEarlierThisWeek = grace;
+    lunchEarlierThisWeek = lunch;
+}
+
+// Visits count for at most 24 hours, or until midnight. Starts are kept twice as long so
+// that neither a 25-hour day at a daylight saving change nor a system clock set back a
+// little drops a visit that still counts; the rule itself decides which ones do.
+const QUOTA_KEEP_MS = 48 * HOUR;
+
+function pruneQuotas() {
+    const cutoff = Date.now() - QUOTA_KEEP_MS;
+    for (const [group, starts] of Object.entries(quotas)) {
+        const kept = Array.isArray(starts) ? starts.filter(start => start > cutoff) : [];
+        if (kept.length > 0 && policies[group]) {
+            quotas[group] = kept;
+        } else {
+            delete quotas[group];
+        }
+    }
+}
+
+// A host counts as still being viewed for VIEW_SESSION_TIMEOUT after its last recorded time
+function isViewActive(host, now = Date.now()) {
+    return !!viewSessions[host] && now - viewSessions[host] <= VIEW_SESSION_TIMEOUT;
+}
+
+// Called when a new view of a host starts; begins a visit when its group is in visits
+// mode, no visit or unlock session is running and a visit is left
+function startVisitIfDue(host, group, config, now) {
+    if (getActiveSession(host, group)) return;
+    const evaluation = evaluateGroupNow(group, config, null);
+    if (evaluation.rule?.mode !== 'visits' || evaluation.blocked || evaluation.visitRemainingMs > 0) return;
+    quotas[group] = [...(quotas[group] || []), now];
+    console.log(`[Visits] ${group}: visit started, ${evaluation.visitsRemaining - 1} left`);
+}
+
+// Starts the next visit from the blocked page, for a page left open after the last one
+async function startVisit(host, url) {
+    const evaluation = evaluateTarget(url || host, false);
+    if (!evaluation) {
+        return { success: false, error: `${host} is not in a blocking group` };
+    }
+    if (!evaluation.visitAvailable) {
+        return { success: false, error: 'No visit is available right now' };
+    }
+
+    const now = Date.now();
+    quotas[evaluation.group] = [...(quotas[evaluation.group] || []), now];
+    await saveState();
+    await syncBlockingRules();
+    updateBadge();
+    return { success: true, expiresAt: now + evaluation.visitDurationMs };
 }
 
 function cleanupExpiredViewSessions(targetDate, forceEnd = false) {
@@ -219,45 +336,32 @@ function cleanupExpiredViewSessions(targetDate, forceEnd = false) {
     }
 }
 
-function migrateState(state) {
-    const version = state.dataVersion || '1.0.0';
-
-    console.log('[Migrate] Current data version:', version);
-
-    if (version === '4.0.0') {
-        return state;
-    }
-
-    let migratedState = { ...state };
-
-    // Add any future migrations here
-    // Example:
-    // if (version < '2.0.0') {
-    //     migratedState = migrateFrom1To2(migratedState);
-    // }
-    // if (version < '3.0.0') {
-    //     migratedState = migrateFrom2To3(migratedState);
-    // }
-
-    migratedState.dataVersion = '4.0.0';
-    console.log('[Migrate] Migrated state from', version, 'to 4.0.0');
-
-    return migratedState;
-}
-
 async function loadState() {
     const state = await loadStateFromIDB();
 
     sessions = state.sessions;
     viewSessions = state.viewSessions || {};
+    quotas = state.quotas || {};
+    pruneQuotas();
+    storageHealth.lastSaved = state.lastSaved;
 
+    // Alarms are not guaranteed to survive a browser restart, so re-create them for running sessions
     const now = Date.now();
     for (const key in sessions) {
         if (sessions[key].expiresAt < now) {
             delete sessions[key];
+        } else {
+            scheduleSessionAlarms(key, sessions[key]);
         }
     }
 
+    focus = state.focus || null;
+    if (focus?.endsAt > now) {
+        chrome.alarms.create('focus-end', { when: focus.endsAt });
+    } else if (focus) {
+        resumeSuspendedSessions();
+    }
+
     const today = getDateKey();
     usage[today] = await loadUsageForDate(today);
 
@@ -279,388 +383,1262 @@ async function loadState() {
     console.log('[LoadState] Loaded from IndexedDB');
 }
 
-let saving = false;
-
-function validateState(state) {
-    if (!state || typeof state !== 'object') return false;
-    if (!state.dataVersion) return false;
-    return true;
-}
+async function loadPolicies() {
+    const saved = await loadPoliciesFromIDB();
+    if (!saved) {
+        console.log('[LoadPolicies] No saved policies, using defaults');
+        return;
+    }
 
-async function saveState() {
-    if (saving) return;
+    const stored = {};
+    for (const [name, config] of Object.entries(saved)) {
+        stored[name] = upgradeLegacyPolicy(config);
+    }
 
-    saving = true;
+    const errors = validatePolicies(stored);
+    if (errors.length > 0) {
+        console.error('[LoadPolicies] Saved policies are invalid, using defaults:', errors);
+        return;
+    }
 
-    try {
-        const today = getDateKey();
-        cleanupExpiredViewSessions(today);
+    policies = stored;
+    domainMap = buildDomainMap(policies);
+    console.log('[LoadPolicies] Loaded', Object.keys(policies).length, 'groups');
+}
 
-        const now = Date.now();
-        const stateToSave = {
-            sessions,
-            viewSessions,
-            lastSaved: now,
-            dataVersion: '4.0.0'
+function cleanPolicies(newPolicies) {
+    const cleaned = {};
+    for (const [name, config] of Object.entries(newPolicies || {})) {
+        cleaned[name.trim()] = {
+            ...config,
+            hosts: [...new Set((config.hosts || []).map(normalizePattern).filter(Boolean))],
+            exceptions: [...new Set((config.exceptions || []).map(normalizePattern).filter(Boolean))]
         };
+    }
+    return cleaned;
+}
 
-        if (!validateState(stateToSave)) {
-            throw new Error('State validation failed - refusing to write corrupted data');
-        }
+// Saves policies from the options page. Whatever tightens a group applies at once; the
+// parts of a change that loosen it keep their current version until the policy lock
+// delay has passed, and wait in pendingChanges.
+async function savePolicies(newPolicies) {
+    const cleaned = cleanPolicies(newPolicies);
+    const errors = validatePolicies(cleaned);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
 
-        await saveStateToIDB(stateToSave);
+    const delayMs = settings.policyLock.delayHours * HOUR;
+    if (delayMs === 0) {
+        await applyPolicies(cleaned);
+        return { success: true, policies, pending: pendingChanges };
+    }
 
-        if (usage[today]) {
-            await saveUsageToIDB(today, usage[today]);
+    const immediate = {};
+    const changes = {};
+    const bases = {};
+    const reasons = [];
+    for (const name of new Set([...Object.keys(policies), ...Object.keys(cleaned)])) {
+        const split = splitLoosening(name, policies[name], cleaned[name]);
+        if (split.immediate) immediate[name] = split.immediate;
+        if (split.reasons.length > 0) {
+            changes[name] = cleaned[name] || null;
+            bases[name] = split.immediate;
+            reasons.push(...split.reasons);
         }
-
-        console.log('[SaveState] State saved to IndexedDB');
-    } finally {
-        saving = false;
     }
-}
-
-function scheduleMidnight() {
-    const now = new Date();
-    const midnight = new Date(now);
-    midnight.setHours(24, 0, 0, 0);
-    chrome.alarms.create('midnight', { when: midnight.getTime() });
-}
 
-function setupAlarms() {
-    scheduleMidnight();
-    chrome.alarms.create('saveUsage', { periodInMinutes: 5 });
-}
-
-chrome.alarms.onAlarm.addListener(async (alarm) => {
-    if (alarm.name === 'midnight') {
-        await handleMidnight();
-    } else if (alarm.name === 'saveUsage') {
-        await saveState();
-    } else if (alarm.name.startsWith('session-')) {
-        const sessionKey = alarm.name.substring(8);
-        delete sessions[sessionKey];
-        await saveState();
-        if (sessionKey === 'streaming') {
-            notifyStreamingTabs();
+    // A host moved out of one group into another stays in the first until the delay is
+    // over, so it only joins the second then
+    const heldBack = new Map();
+    for (const [name, config] of Object.entries(immediate)) {
+        if (name === ALLOWLIST_GROUP) continue;
+        for (const host of config.hosts.filter(host => !cleaned[name]?.hosts.includes(host))) {
+            heldBack.set(host, name);
+        }
+    }
+    for (const [name, config] of Object.entries(immediate)) {
+        if (name === ALLOWLIST_GROUP) continue;
+        const moved = config.hosts.filter(host => heldBack.has(host) && heldBack.get(host) !== name);
+        if (moved.length === 0) continue;
+        const hosts = config.hosts.filter(host => !moved.includes(host));
+        // A new group made only of moved hosts is created once they can leave the old one
+        if (hosts.length > 0) {
+            immediate[name] = { ...config, hosts };
         } else {
-            notifyTabsOfBlock(sessionKey);
+            delete immediate[name];
         }
+        changes[name] = cleaned[name];
+        bases[name] = immediate[name] || null;
+        reasons.push(...moved.map(host => `${groupLabel(name)}: ${host} moved from ${groupLabel(heldBack.get(host))}`));
     }
-});
 
-async function handleMidnight() {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayKey = getDateKey(yesterday);
+    if (reasons.length === 0) {
+        await applyPolicies(cleaned);
+        return { success: true, policies, pending: pendingChanges };
+    }
 
-    if (!usage[yesterdayKey]) {
-        usage[yesterdayKey] = await loadUsageForDate(yesterdayKey);
+    const immediateErrors = validatePolicies(immediate);
+    if (immediateErrors.length > 0) {
+        console.error('[PolicyLock] Stricter part of the change does not validate on its own:', immediateErrors);
+        return { success: false, errors: immediateErrors.map(error => `Save the looser changes separately: ${error}`) };
     }
 
-    cleanupExpiredViewSessions(yesterdayKey, true);
+    await applyPolicies(immediate);
+    const change = await queuePendingChange({ type: 'policies', changes, bases, reasons }, delayMs);
+    return { success: true, policies, pending: pendingChanges, queued: change };
+}
 
-    if (usage[yesterdayKey]) {
-        await saveUsageToIDB(yesterdayKey, usage[yesterdayKey]);
+async function applyPolicies(newPolicies) {
+    await savePoliciesToIDB(newPolicies);
+    policies = newPolicies;
+    domainMap = buildDomainMap(policies);
+
+    // Sessions for groups that no longer exist would otherwise linger until they expire
+    for (const key of Object.keys(sessions)) {
+        if (sessions[key].type === 'lunch' && !policies[key]) {
+            delete sessions[key];
+            chrome.alarms.clear(`session-${key}`);
+        }
     }
 
-    const today = getDateKey();
-    usage[today] = await loadUsageForDate(today);
+    console.log('[SavePolicies] Saved', Object.keys(policies).length, 'groups');
 
     await saveState();
-    scheduleMidnight();
-}
-
-function getHost(url) {
-    try {
-        const u = new URL(url);
-        return u.hostname;
-    } catch {
-        return null;
-    }
+    await syncBlockingRules();
+    await syncContentScripts();
+    await reevaluateOpenTabs();
 }
 
-async function evaluateAccess(host) {
+async function queuePendingChange(change, delayMs) {
     const now = Date.now();
-    const domainInfo = lookupGroup(host, domainMap);
+    const entry = { id: `${now}-${Math.random().toString(36).slice(2, 8)}`, ...change, requestedAt: now, applyAt: now + delayMs };
+    pendingChanges = [...pendingChanges, entry];
+    await saveConfigValue('pendingChanges', pendingChanges);
+    schedulePendingChanges();
+    console.log('[PolicyLock] Queued until', new Date(entry.applyAt).toISOString(), entry.reasons);
+    return entry;
+}
 
-    if (!domainInfo) {
-        return { allow: true };
+function schedulePendingChanges() {
+    const waiting = pendingChanges.filter(change => !change.error);
+    if (waiting.length === 0) {
+        chrome.alarms.clear('pendingChanges');
+        return;
     }
+    chrome.alarms.create('pendingChanges', { when: Math.min(...waiting.map(change => change.applyAt)) });
+}
 
-    const { group, config } = domainInfo;
+async function loadPendingChanges() {
+    pendingChanges = await loadConfigValue('pendingChanges', []);
+    await applyDuePendingChanges();
+}
 
-    const activeSession = sessions[host] || (group === 'streaming' ? sessions['streaming'] : null);
-    if (activeSession && activeSession.expiresAt > now) {
-        return {
-            allow: true,
-            group,
-            remainingMs: activeSession.expiresAt - now
-        };
+// Applies queued changes whose delay is over, onto whatever is active by then
+async function applyDuePendingChanges() {
+    const now = Date.now();
+    const due = pendingChanges.filter(change => change.applyAt <= now && !change.error);
+    if (due.length === 0) {
+        schedulePendingChanges();
+        return;
     }
 
-    if (group === 'social') {
-        return {
-            allow: false,
-            group,
-            reason: 'Always blocked. 5-minute grace available.',
-            graceDurationMs: config.graceDurationMs
-        };
+    for (const change of due) {
+        if (change.type === 'settings') {
+            // Only the delayed fields, on top of whatever else was saved since
+            const merged = withDefaultSettings(Object.fromEntries(Object.entries(settings).map(([section, values]) => (
+                [section, { ...values, ...change.settings[section] }]
+            ))));
+            await saveConfigValue('settings', merged);
+            settings = merged;
+            chrome.idle.setDetectionInterval(settings.tracking.idleSeconds);
+        } else {
+            const next = { ...policies };
+            for (const [name, config] of Object.entries(change.changes)) {
+                // Changes queued before bases were recorded replace the whole group
+                const merged = mergeGroupChange(policies[name], change.bases?.[name], config);
+                if (merged) {
+                    next[name] = merged;
+                } else {
+                    delete next[name];
+                }
+            }
+            // Kept in the list so it can be seen and cancelled, but never retried
+            const errors = validatePolicies(next);
+            if (errors.length > 0) {
+                console.error('[PolicyLock] Pending change no longer fits the active policies:', errors);
+                change.error = errors.join('; ');
+                continue;
+            }
+            await applyPolicies(next);
+        }
+        console.log('[PolicyLock] Applied', change.reasons);
     }
 
-    if (group === 'streaming') {
-        const date = new Date();
-        const hour = date.getHours();
-        const day = date.getDay();
-        const today = getDateKey();
+    pendingChanges = pendingChanges.filter(change => !due.includes(change) || change.error);
+    await saveConfigValue('pendingChanges', pendingChanges);
+    schedulePendingChanges();
+    chrome.runtime.sendMessage({ action: 'policiesUpdated' }).catch(() => {});
+}
 
-        const isWorkDay = config.workDays.includes(day);
-        const isWorkHours = isWorkDay && hour >= config.workHours.start && hour < config.workHours.end;
-        const isEveningHours = hour >= 21 || hour < 2;
+async function cancelPendingChange(id) {
+    pendingChanges = pendingChanges.filter(change => change.id !== id);
+    await saveConfigValue('pendingChanges', pendingChanges);
+    schedulePendingChanges();
+    return { success: true, pending: pendingChanges };
+}
 
-        if (!isWorkHours && !isEveningHours) {
-            return { allow: true, group };
-        }
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-        if (isEveningHours) {
-            return {
-                allow: false,
-                group,
-                reason: 'Blocked during evening hours (9pm-2am). 30-minute session available.',
-                graceDurationMs: config.eveningGraceDurationMs
-            };
-        }
+// Everything needed to rebuild the extension's data elsewhere; the options page zips it up
+async function createBackup() {
+    await saveState();
+    const state = await loadStateFromIDB();
+    const days = await getAllUsageForExport();
+    const aggregates = await getAllAggregatesFromIDB();
+    const unlocks = await getAllUnlocksFromIDB();
+
+    return {
+        state: {
+            sessions: state.sessions,
+            viewSessions: state.viewSessions,
+            quotas: state.quotas,
+            dataVersion: state.dataVersion,
+            lastSaved: state.lastSaved
+        },
+        policies,
+        usage: Object.fromEntries(days.map(({ date, data }) => [date, data])),
+        aggregates: Object.fromEntries(aggregates.map(aggregate => [`${aggregate.period}:${aggregate.start}`, aggregate])),
+        unlocks
+    };
+}
 
-        const firstAccess = getGroupFirstAccess('streaming', today);
-
-        if (firstAccess) {
-            const timeSinceFirst = now - firstAccess;
-            if (timeSinceFirst >= HOUR) {
-                const totalLunchCount = getTotalLunchCount(today);
-                if (hour >= config.lunchWindow.start && hour < config.lunchWindow.end && totalLunchCount < config.maxLunchSessions) {
-                    return {
-                        allow: false,
-                        group,
-                        reason: 'Daily allowance used. Lunch session available.',
-                        lunchAvailable: true,
-                        lunchCount: totalLunchCount,
-                        maxLunchSessions: config.maxLunchSessions,
-                        graceDurationMs: config.graceDurationMs
-                    };
-                }
-                return {
-                    allow: false,
-                    group,
-                    reason: 'Daily 1-hour allowance exhausted. Blocked during work hours.',
-                    lunchCount: totalLunchCount,
-                    maxLunchSessions: config.maxLunchSessions,
-                    graceDurationMs: config.graceDurationMs
-                };
-            } else {
-                const remainingMs = HOUR - timeSinceFirst;
-                return {
-                    allow: true,
-                    group,
-                    allowanceRemaining: remainingMs
-                };
+function validateBackup(backup) {
+    const errors = [];
+    if (!backup || typeof backup !== 'object') {
+        return ['Backup is empty'];
+    }
+
+    if (!backup.state || typeof backup.state !== 'object' || typeof backup.state.sessions !== 'object') {
+        errors.push('Backup state is missing or has no sessions');
+    }
+
+    if (!backup.usage || typeof backup.usage !== 'object') {
+        errors.push('Backup usage history is missing');
+    } else {
+        for (const [date, data] of Object.entries(backup.usage)) {
+            if (!DATE_KEY_PATTERN.test(date)) {
+                errors.push(`Usage day "${date}" is not a YYYY-MM-DD date`);
+            } else if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                errors.push(`Usage for ${date} is not an object`);
             }
-        } else {
-            return {
-                allow: true,
-                group,
-                allowanceRemaining: HOUR
-            };
         }
     }
 
-    if (group === 'hackerNews') {
-        const date = new Date();
-        const hour = date.getHours();
-        const day = date.getDay();
+    if (backup.aggregates !== undefined && (!backup.aggregates || typeof backup.aggregates !== 'object')) {
+        errors.push('Backup aggregates are not an object');
+    }
 
-        const isWorkDay = config.workDays.includes(day);
-        const isWorkHours = isWorkDay && hour >= config.workHours.start && hour < config.workHours.end;
-        const isEveningHours = hour >= 21 || hour < 2;
+    if (backup.unlocks !== undefined && (!Array.isArray(backup.unlocks) || backup.unlocks.some(entry => typeof entry?.at !== 'number'))) {
+        errors.push('Backup unlock log is not a list of timestamped entries');
+    }
 
-        if (!isWorkHours && !isEveningHours) {
-            return { allow: true, group };
+    if (backup.policies !== undefined) {
+        const upgraded = {};
+        for (const [name, config] of Object.entries(backup.policies || {})) {
+            upgraded[name] = upgradeLegacyPolicy(config || {});
         }
+        errors.push(...validatePolicies(upgraded).map(error => `Policies: ${error}`));
+    }
 
-        if (isEveningHours) {
-            return {
-                allow: false,
-                group,
-                reason: 'Blocked during evening hours (9pm-2am).',
-                graceDurationMs: config.graceDurationMs
-            };
-        }
+    return errors;
+}
 
-        return {
-            allow: false,
-            group,
-            reason: 'Blocked during work hours. 5-minute grace available.',
-            graceDurationMs: config.graceDurationMs
-        };
+// Restoring the same backup twice must not double anything, so for a host present on
+// both sides the entry with more recorded time wins instead of the two being summed
+function mergeUsageDay(current, incoming) {
+    const merged = { ...current };
+    for (const [host, data] of Object.entries(incoming)) {
+        if (host === '__lunch__') {
+            if ((data.lunchCount || 0) > (merged[host]?.lunchCount || 0)) merged[host] = data;
+        } else if (host === '__grace__') {
+            const count = day => Object.values(day?.groups || {}).reduce((sum, tally) => sum + tally.count, 0);
+            if (count(data) > count(merged[host])) merged[host] = data;
+        } else if (!merged[host] || data.time > merged[host].time) {
+            merged[host] = data;
+        }
     }
+    return merged;
+}
 
-    return { allow: true };
+// Budgets and grace and lunch caps count from this week's usage. Replacing history never
+// lowers what is recorded for those days, since that would hand out fresh allowances
+// without waiting for the policy lock delay.
+async function loadEnforcedDays() {
+    const today = getDateKey();
+    const days = {};
+    for (const date = parseDateKey(getWeekStartKey(today)); getDateKey(date) <= today; date.setDate(date.getDate() + 1)) {
+        days[getDateKey(date)] = await loadUsageForDate(getDateKey(date));
+    }
+    return days;
 }
 
-function getSiteInfo(host) {
-    const now = Date.now();
-    const domainInfo = lookupGroup(host, domainMap);
+// mode 'replace' wipes existing history and policies first, apart from this week's
+// counters and visit quotas; 'merge' keeps them and fills in what the backup adds
+async function restoreBackup(backup, mode) {
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
 
-    if (!domainInfo) {
-        return null;
+    const state = migrateState(backup.state);
+    if (!validateState(state)) {
+        return { success: false, errors: ['Backup state could not be migrated'] };
     }
 
-    const { group, config } = domainInfo;
-    const info = { group, host };
+    // Flush today's in-memory usage so merging sees it
+    await saveState();
 
-    const activeSession = sessions[host] || (group === 'streaming' ? sessions['streaming'] : null);
-    if (activeSession && activeSession.expiresAt > now) {
-        const remainingMs = activeSession.expiresAt - now;
-        info.sessionType = activeSession.type;
-        info.sessionRemaining = Math.ceil(remainingMs / 1000);
+    const enforced = mode === 'replace' ? await loadEnforcedDays() : {};
+    if (mode === 'replace') {
+        await clearUsageInIDB();
     }
 
-    if (group === 'social') {
-        info.status = 'Always blocked (5-min grace available)';
-    } else if (group === 'streaming') {
-        const date = new Date();
-        const hour = date.getHours();
-        const day = date.getDay();
-        const today = getDateKey();
-        const firstAccess = getGroupFirstAccess('streaming', today);
-        const isWorkDay = config.workDays.includes(day);
-        const isWorkHours = isWorkDay && hour >= config.workHours.start && hour < config.workHours.end;
-        const isEveningHours = hour >= 21 || hour < 2;
-
-        if (isEveningHours) {
-            info.status = 'Blocked during evening hours (30-minute session available)';
-        } else if (!isWorkHours) {
-            info.status = 'Not blocked (outside restricted hours)';
-        } else if (firstAccess) {
-            const timeSinceFirst = now - firstAccess;
-            const remainingMs = HOUR - timeSinceFirst;
-
-            if (remainingMs > 0) {
-                info.allowanceRemaining = Math.ceil(remainingMs / 1000);
-                info.status = `${Math.ceil(remainingMs / 60000)} min remaining of daily allowance`;
-            } else {
-                info.status = 'Daily 1-hour allowance exhausted';
-                const totalLunchCount = getTotalLunchCount(today);
-                if (hour >= config.lunchWindow.start && hour < config.lunchWindow.end && totalLunchCount < config.maxLunchSessions) {
-                    info.lunchAvailable = true;
-                }
-            }
-        } else {
-            info.allowanceRemaining = 3600;
-            info.status = '1 hour daily allowance available';
-        }
-    } else if (group === 'hackerNews') {
-        const date = new Date();
-        const hour = date.getHours();
-        const day = date.getDay();
-
-        const isWorkDay = config.workDays.includes(day);
-        const isWorkHours = isWorkDay && hour >= config.workHours.start && hour < config.workHours.end;
-        const isEveningHours = hour >= 21 || hour < 2;
-
-        if (isEveningHours) {
-            info.status = 'Blocked during evening hours (9pm-2am)';
-        } else if (!isWorkHours) {
-            info.status = 'Not blocked (outside restricted hours)';
-        } else {
-            info.status = 'Blocked during work hours (5-min grace available)';
+    const dates = Object.keys(backup.usage);
+    for (const date of dates) {
+        const restored = migrateUsageDay(backup.usage[date], backup.state.dataVersion);
+        const day = mode === 'replace' ? restored : mergeUsageDay(await loadUsageForDate(date), restored);
+        await saveUsageToIDB(date, day);
+    }
+    for (const [date, recorded] of Object.entries(enforced)) {
+        if (Object.keys(recorded).length > 0) {
+            await saveUsageToIDB(date, mergeUsageDay(await loadUsageForDate(date), recorded));
         }
     }
 
-    return info;
-}
+    if (backup.aggregates || mode === 'replace') {
+        await restoreAggregatesToIDB(backup.aggregates || {}, mode === 'replace');
+    }
 
-async function startSession(host, type, durationMs) {
-    const now = Date.now();
-    const expiresAt = now + durationMs;
+    if (backup.unlocks || mode === 'replace') {
+        await restoreUnlocksToIDB(backup.unlocks || [], mode === 'replace');
+    }
 
-    const sessionKey = type === 'lunch' ? 'streaming' : host;
+    const today = getDateKey();
+    usage = { [today]: await loadUsageForDate(today) };
+    await loadUnlocksThisWeek();
 
-    sessions[sessionKey] = {
-        type,
-        startedAt: now,
-        expiresAt
-    };
+    if (mode === 'replace') {
+        for (const key of Object.keys(sessions)) {
+            chrome.alarms.clear(`session-${key}`);
+        }
+        sessions = {};
+        viewSessions = {};
+    }
 
-    chrome.alarms.create(`session-${sessionKey}`, { when: expiresAt });
+    const now = Date.now();
+    for (const [key, session] of Object.entries(state.sessions || {})) {
+        if (!(session?.expiresAt > now) || sessions[key]?.expiresAt >= session.expiresAt) continue;
+        sessions[key] = session;
+        scheduleSessionAlarms(key, session);
+    }
+    for (const [host, lastSeen] of Object.entries(state.viewSessions || {})) {
+        if (!(viewSessions[host] >= lastSeen)) viewSessions[host] = lastSeen;
+    }
+    for (const [group, starts] of Object.entries(state.quotas || {})) {
+        if (Array.isArray(starts)) quotas[group] = [...new Set([...(quotas[group] || []), ...starts])].sort((a, b) => a - b);
+    }
+    pruneQuotas();
 
-    if (type === 'lunch') {
-        const today = getDateKey();
-        if (!usage[today]) usage[today] = {};
-        if (!usage[today]['__lunch__']) {
-            usage[today]['__lunch__'] = { lunchCount: 0 };
+    const warnings = [];
+    if (backup.policies) {
+        const restored = {};
+        for (const [name, config] of Object.entries(backup.policies)) {
+            restored[name] = upgradeLegacyPolicy(config);
+        }
+        // Merging keeps current groups and only adds the ones this profile lacks
+        const result = await savePolicies(mode === 'replace' ? restored : { ...restored, ...policies });
+        if (!result.success) {
+            warnings.push(...result.errors.map(error => `Policies not restored: ${error}`));
+        } else if (result.queued) {
+            warnings.push(`Looser policies wait for the change delay until ${new Date(result.queued.applyAt).toLocaleString()}`);
         }
-        usage[today]['__lunch__'].lunchCount++;
     }
 
     await saveState();
-    return { success: true, expiresAt };
+    await syncBlockingRules();
+    await reevaluateOpenTabs();
+
+    console.log(`[RestoreBackup] Restored ${dates.length} days (${mode}) from data version ${backup.state.dataVersion || 'unknown'}`);
+    return { success: true, days: dates.length, warnings };
 }
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === 'checkAccess') {
-        ensureReady().then(() => evaluateAccess(request.host)).then(sendResponse).catch(error => {
-            console.error('[CheckAccess] Failed:', error);
-            sendResponse({ allow: false, error: error.message });
-        });
-        return true;
-    } else if (request.action === 'startSession') {
-        ensureReady().then(() => startSession(request.host, request.type, request.durationMs)).then(sendResponse).catch(error => {
-            console.error('[StartSession] Failed:', error);
-            sendResponse({ success: false, error: error.message });
-        });
-        return true;
-    } else if (request.action === 'recordUsage') {
-        ensureReady().then(() => {
-            const { host, seconds } = request;
-            const today = getDateKey();
+function earliest(a, b) {
+    return a && b ? Math.min(a, b) : (a || b || null);
+}
 
-            cleanupExpiredViewSessions(today);
+// Adds an imported entry's counters to the recorded one
+function sumUsageEntry(current, incoming) {
+    return {
+        ...current,
+        time: current.time + incoming.time,
+        views: current.views + incoming.views,
+        tempAccessCount: current.tempAccessCount + incoming.tempAccessCount,
+        firstAccess: earliest(current.firstAccess, incoming.firstAccess),
+        lastAccess: Math.max(current.lastAccess || 0, incoming.lastAccess || 0) || null
+    };
+}
 
-            ensureUsageObject(host, today);
+// days: { [date]: { [host]: { time, views, tempAccessCount, firstAccess, lastAccess } } }
+// mode 'sum' adds to recorded usage, 'replace' overwrites the hosts present in the import
+async function importUsage(days, mode) {
+    const errors = Object.keys(days || {})
+        .filter(date => !DATE_KEY_PATTERN.test(date))
+        .map(date => `"${date}" is not a YYYY-MM-DD date`);
+    if (!days || errors.length > 0) {
+        return { success: false, errors: errors.length > 0 ? errors : ['Nothing to import'] };
+    }
 
-            const now = Date.now();
-            const currentHour = new Date(now).getHours();
+    // Flush today's in-memory usage so the import builds on it
+    await saveState();
 
-            // Only set firstAccess if it's 6am or later
-            if (!usage[today][host].firstAccess && currentHour >= 6) {
-                usage[today][host].firstAccess = now;
-            }
-            usage[today][host].lastAccess = now;
+    // Replacing never lowers this week's counters, see loadEnforcedDays()
+    const weekStart = getWeekStartKey(getDateKey());
+    let entries = 0;
+    for (const [date, hosts] of Object.entries(days)) {
+        const recorded = await loadUsageForDate(date);
+        let day = { ...recorded };
+        for (const [host, entry] of Object.entries(hosts)) {
+            day[host] = mode === 'replace' || !day[host] ? { lunchCount: 0, ...entry } : sumUsageEntry(day[host], entry);
+            entries++;
+        }
+        if (mode === 'replace' && date >= weekStart) {
+            day = mergeUsageDay(day, recorded);
+        }
+        await saveUsageToIDB(date, day);
+    }
 
-            const milliseconds = seconds * 1000;
-            usage[today][host].time += milliseconds;
+    const today = getDateKey();
+    if (days[today]) {
+        usage[today] = await loadUsageForDate(today);
+    }
 
-            if (viewSessions[host]) {
-                viewSessions[host] = Date.now();
-            } else {
-                viewSessions[host] = Date.now();
-                usage[today][host].views++;
-                console.log(`[RecordUsage] ${host}: New view session started`);
-            }
+    console.log(`[ImportUsage] Imported ${entries} entries into ${Object.keys(days).length} days (${mode})`);
+    return { success: true, days: Object.keys(days).length, entries };
+}
 
-            console.log(`[RecordUsage] ${host}: +${seconds}s, total today: ${Math.round(usage[today][host].time/1000)}s, views: ${usage[today][host].views}`);
+async function loadSettings() {
+    const saved = await loadConfigValue('settings');
+    const loaded = withDefaultSettings(saved);
+    const errors = validateSettings(loaded);
+    if (errors.length > 0) {
+        console.error('[LoadSettings] Saved settings are invalid, using defaults:', errors);
+        return;
+    }
+    settings = loaded;
+}
 
-            return saveState();
-        }).then(() => {
-            sendResponse({ success: true });
+async function saveSettings(newSettings) {
+    let merged = withDefaultSettings(newSettings);
+    const errors = validateSettings(merged);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    // Settings that weaken the limits wait for the policy lock delay like looser policies;
+    // shortening the delay itself would otherwise be the quickest way around it
+    const currentDelay = settings.policyLock.delayHours;
+    let queued = null;
+    if (currentDelay > 0) {
+        const { immediate, delayed, reasons } = splitSettingsLoosening(settings, merged);
+        if (reasons.length > 0) {
+            queued = await queuePendingChange({ type: 'settings', settings: delayed, reasons }, currentDelay * HOUR);
+            merged = immediate;
+        }
+    }
+
+    await saveConfigValue('settings', merged);
+    settings = merged;
+    chrome.idle.setDetectionInterval(settings.tracking.idleSeconds);
+    console.log('[SaveSettings] Saved', settings);
+    return { success: true, settings, queued };
+}
+
+// Rolls usage days older than the retention window into weekly or monthly aggregates
+async function compactUsage() {
+    const { detailDays, rollup, minMinutes } = settings.retention;
+    const cutoff = retentionCutoff(detailDays);
+
+    await saveState();
+    const summary = await compactUsageInIDB(
+        cutoff,
+        date => aggregateKey(date, rollup),
+        (aggregate, date, day) => addDayToAggregate(aggregate, date, rollup, day, minMinutes * MIN)
+    );
+
+    for (const date of Object.keys(usage)) {
+        if (date < cutoff) delete usage[date];
+    }
+
+    const result = { at: Date.now(), cutoff, ...summary };
+    await saveConfigValue('lastCompaction', result);
+    console.log(`[Compact] Rolled ${summary.days} days before ${cutoff} into ${summary.periods} ${rollup} aggregates`);
+    return result;
+}
+
+function validateState(state) {
+    if (!state || typeof state !== 'object') return false;
+    if (!state.dataVersion) return false;
+    return true;
+}
+
+// Write-behind persistence. Frequent updates (usage time, unlock counts) call
+// scheduleSave(), which coalesces them into one write after SAVE_DELAY. saveState()
+// writes as soon as any write in progress has finished and resolves once the data is
+// stored. Requests made while a write runs queue exactly one more write, so none is lost.
+const SAVE_DELAY = 2 * SEC;
+
+let saveTimer = null;
+let queuedWrite = null;
+let writeChain = Promise.resolve();
+
+const writeStats = {
+    since: Date.now(),
+    requested: 0,
+    written: 0,
+    coalesced: 0,
+    failed: 0,
+    lastWriteAt: null,
+    lastDurationMs: null,
+    totalDurationMs: 0
+};
+
+function scheduleSave() {
+    writeStats.requested++;
+    if (queuedWrite || saveTimer) {
+        writeStats.coalesced++;
+        return;
+    }
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        startWrite().catch(error => console.error('[SaveState] Scheduled save failed:', error));
+    }, SAVE_DELAY);
+}
+
+function saveState() {
+    writeStats.requested++;
+    if (queuedWrite) {
+        writeStats.coalesced++;
+        return queuedWrite;
+    }
+    return startWrite();
+}
+
+// Queues a write behind the one in progress, absorbing any scheduled save
+function startWrite() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    if (!queuedWrite) {
+        queuedWrite = writeChain.then(() => {
+            // Changes made from here on need another write
+            queuedWrite = null;
+            return writeState();
+        });
+        writeChain = queuedWrite.catch(() => {});
+    }
+    return queuedWrite;
+}
+
+async function writeState() {
+    const started = Date.now();
+
+    try {
+        const today = getDateKey();
+        cleanupExpiredViewSessions(today);
+
+        const stateToSave = {
+            sessions,
+            viewSessions,
+            quotas,
+            focus,
+            lastSaved: started,
+            dataVersion: CURRENT_DATA_VERSION
+        };
+
+        if (!validateState(stateToSave)) {
+            throw new Error('State validation failed - refusing to write corrupted data');
+        }
+
+        await saveStateToIDB(stateToSave);
+
+        if (usage[today]) {
+            await saveUsageToIDB(today, usage[today]);
+        }
+
+        writeStats.written++;
+        writeStats.lastWriteAt = Date.now();
+        writeStats.lastDurationMs = writeStats.lastWriteAt - started;
+        writeStats.totalDurationMs += writeStats.lastDurationMs;
+        storageHealth.lastSaved = started;
+        storageHealth.lastSaveError = null;
+        console.log('[SaveState] State saved to IndexedDB');
+    } catch (e) {
+        writeStats.failed++;
+        storageHealth.lastSaveError = e.message;
+        throw e;
+    }
+}
+
+function scheduleMidnight() {
+    const now = new Date();
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    chrome.alarms.create('midnight', { when: midnight.getTime() });
+}
+
+// Creating an alarm again restarts its period, and the worker starts up every time it
+// wakes, so one that wakes often would keep pushing these back. Only missing ones are created.
+async function createPeriodicAlarm(name, options) {
+    if (!await chrome.alarms.get(name)) {
+        await chrome.alarms.create(name, options);
+    }
+}
+
+async function setupAlarms() {
+    scheduleMidnight();
+    await createPeriodicAlarm('saveUsage', { periodInMinutes: 5 });
+    // Time windows open and close on the hour, so keep network rules current
+    await createPeriodicAlarm('syncBlockingRules', { periodInMinutes: 1 });
+    // Credits time on the tracked page regularly so budgets run out on time, and counts
+    // the toolbar badge down with it
+    await createPeriodicAlarm('flushActiveTime', { periodInMinutes: 0.5 });
+    await createPeriodicAlarm('compactUsage', { delayInMinutes: 10, periodInMinutes: 24 * 60 });
+    // The badge had an alarm of its own in earlier versions
+    await chrome.alarms.clear('updateBadge');
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    // Missed alarms go off as soon as the browser starts, before the state is loaded;
+    // saving then would overwrite the stored sessions, quotas and focus with empty ones
+    await ensureReady();
+
+    if (alarm.name === 'midnight') {
+        await handleMidnight();
+    } else if (alarm.name === 'saveUsage') {
+        await saveState();
+    } else if (alarm.name === 'pendingChanges') {
+        await applyDuePendingChanges();
+    } else if (alarm.name === 'flushActiveTime') {
+        await flushActiveTime();
+        await updateBadge();
+    } else if (alarm.name === 'compactUsage') {
+        await compactUsage();
+    } else if (alarm.name === 'syncBlockingRules') {
+        await syncBlockingRules();
+    } else if (alarm.name === 'focus-end') {
+        await endFocus();
+    } else if (alarm.name.startsWith('sessionWarning-')) {
+        warnSessionEnding(alarm.name);
+    } else if (alarm.name.startsWith('session-')) {
+        const sessionKey = alarm.name.substring(8);
+        delete sessions[sessionKey];
+        chrome.notifications?.clear(`sessionWarning-${sessionKey}`).catch(() => {});
+        await saveState();
+        await syncBlockingRules();
+        if (policies[sessionKey]) {
+            notifyGroupTabs(sessionKey);
+        } else {
+            notifyTabsOfBlock(sessionKey);
+        }
+        updateBadge();
+    }
+});
+
+// Warnings before a session ends. Their alarm names carry the session's expiry, so the
+// alarms of a session that was replaced, suspended or ended early are ignored when they
+// go off rather than having to be found and cleared.
+const SESSION_WARNING_ALARM = /^sessionWarning-\d+-(\d+)-(.+)$/;
+
+function scheduleSessionAlarms(key, session) {
+    chrome.alarms.create(`session-${key}`, { when: session.expiresAt });
+    for (const minutes of settings.warnings.minutes) {
+        const when = session.expiresAt - minutes * MIN;
+        if (when > Date.now()) {
+            chrome.alarms.create(`sessionWarning-${minutes}-${session.expiresAt}-${key}`, { when });
+        }
+    }
+}
+
+function warnSessionEnding(alarmName) {
+    const [, expiresAt, key] = alarmName.match(SESSION_WARNING_ALARM) || [];
+    const session = sessions[key];
+    if (!session || session.expiresAt !== Number(expiresAt) || !settings.warnings.notify || !chrome.notifications) return;
+
+    const minutes = Math.max(1, Math.round((session.expiresAt - Date.now()) / MIN));
+    const windDown = settings.warnings.windDownSeconds;
+    chrome.notifications.create(`sessionWarning-${key}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+        title: `${session.type === 'lunch' ? 'Lunch' : 'Grace'} session ending`,
+        message: `${policies[key] ? groupLabel(key) : key}: ${minutes} minute${minutes === 1 ? '' : 's'} left.` +
+            (windDown > 0 ? ` Open pages stay for ${windDown} seconds after that.` : ''),
+        priority: 1
+    }).catch(error => console.error('[SessionWarning] Notification failed:', error));
+}
+
+async function handleMidnight() {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    const yesterdayKey = getDateKey(yesterday);
+
+    if (!usage[yesterdayKey]) {
+        usage[yesterdayKey] = await loadUsageForDate(yesterdayKey);
+    }
+
+    cleanupExpiredViewSessions(yesterdayKey, true);
+
+    if (usage[yesterdayKey]) {
+        await saveUsageToIDB(yesterdayKey, usage[yesterdayKey]);
+    }
+
+    const today = getDateKey();
+    usage[today] = await loadUsageForDate(today);
+    await loadUnlocksThisWeek();
+    pruneQuotas();
+
+    await saveState();
+    await syncBlockingRules();
+    scheduleMidnight();
+}
+
+function getHost(url) {
+    try {
+        const u = new URL(url);
+        return u.hostname;
+    } catch {
+        return null;
+    }
+}
+
+function getActiveSession(host, group) {
+    const session = sessions[host] || sessions[group];
+    return session && session.expiresAt > Date.now() ? session : null;
+}
+
+// target is a full URL, or a bare hostname when only that is known. A site the
+// allowlist does not cover is blocked by allowlist mode when its own group, if any,
+// lets it through. withSession false leaves running sessions out, to judge an unlock.
+function evaluateTarget(target, withSession = true) {
+    const host = getHost(target) || target;
+    const evaluate = ({ group, config }) =>
+        evaluateGroupNow(group, config, withSession ? getActiveSession(host, group) : null, host);
+
+    const domainInfo = lookupGroup(target, domainMap);
+    const evaluation = domainInfo && evaluate(domainInfo);
+    if (evaluation && !evaluation.allow) {
+        return evaluation;
+    }
+
+    const allowlistInfo = lookupAllowlist(target, domainMap);
+    if (!allowlistInfo) {
+        return evaluation;
+    }
+    const allowlist = evaluate(allowlistInfo);
+    if (allowlist.allow && evaluation) {
+        return evaluation;
+    }
+    if (allowlist.blocked && !allowlist.focusUntil) {
+        allowlist.reason = `${host} is not on the allowlist. ${allowlist.reason}`;
+    }
+    return allowlist;
+}
+
+// host is known when a particular page is evaluated; visits mode then also looks at
+// whether that page is still open from an earlier visit
+function evaluateGroupNow(group, config, session, host = null) {
+    const today = getDateKey();
+    const now = Date.now();
+    const grace = getGraceTally(group, today);
+    return evaluateGroup(group, config, {
+        now,
+        session,
+        firstAccess: getGroupFirstAccess(group, today),
+        trackedMs: getGroupTrackedTime(group, today),
+        lunchCount: getLunchCount(group, today),
+        lunchWeekCount: (lunchEarlierThisWeek[group] || 0) + getLunchCount(group, today),
+        grace: { ...grace, weekCount: (graceEarlierThisWeek[group] || 0) + grace.count },
+        visits: { starts: quotas[group] || [], viewActive: host ? isViewActive(host, now) : false },
+        focusUntil: focus?.endsAt
+    });
+}
+
+async function evaluateAccess(target) {
+    const evaluation = evaluateTarget(target);
+
+    if (!evaluation) {
+        return { allow: true };
+    }
+
+    const { group } = evaluation;
+
+    if (evaluation.session) {
+        // content.js counts down to the end of the session and shows the warnings
+        const { minutes, overlay, windDownSeconds } = settings.warnings;
+        return {
+            allow: true,
+            group,
+            remainingMs: evaluation.remainingMs,
+            sessionType: evaluation.session.type,
+            warnings: { minutes: overlay ? minutes : [], windDownMs: windDownSeconds * SEC }
+        };
+    }
+
+    if (!evaluation.blocked) {
+        return {
+            allow: true,
+            group,
+            allowanceRemaining: evaluation.allowanceRemainingMs,
+            budgetRemaining: evaluation.budgetRemainingMs
+        };
+    }
+
+    return {
+        allow: false,
+        group,
+        reason: evaluation.reason,
+        rules: describeRules(policies[group]),
+        hosts: policies[group].hosts,
+        exceptions: policies[group].exceptions || [],
+        allowlist: group === ALLOWLIST_GROUP,
+        graceDurationMs: evaluation.graceDurationMs,
+        graceUnavailable: evaluation.graceUnavailable,
+        visitAvailable: evaluation.visitAvailable,
+        visitsRemaining: evaluation.visitsRemaining,
+        maxVisits: evaluation.maxVisits,
+        visitDurationMs: evaluation.visitDurationMs,
+        challenge: policies[group].challenge || DEFAULT_CHALLENGE,
+        lunchAvailable: evaluation.lunchAvailable,
+        lunchCount: evaluation.lunchCount,
+        maxLunchSessions: evaluation.maxLunchSessions,
+        lunchWeekCount: evaluation.lunchWeekCount,
+        maxLunchPerWeek: evaluation.maxLunchPerWeek,
+        lunchDurationMs: evaluation.lunchDurationMs
+    };
+}
+
+function getSiteInfo(url) {
+    const evaluation = evaluateTarget(url);
+
+    if (!evaluation) {
+        return null;
+    }
+
+    const info = {
+        group: evaluation.group,
+        host: getHost(url),
+        blocked: evaluation.blocked,
+        status: evaluation.status
+    };
+
+    if (evaluation.session) {
+        info.sessionType = evaluation.session.type;
+        info.sessionRemaining = Math.ceil(evaluation.remainingMs / 1000);
+    }
+    if (evaluation.allowanceRemainingMs) {
+        info.allowanceRemaining = Math.ceil(evaluation.allowanceRemainingMs / 1000);
+    }
+    if (evaluation.budgetRemainingMs) {
+        info.budgetRemaining = Math.ceil(evaluation.budgetRemainingMs / 1000);
+    }
+    if (evaluation.lunchAvailable) {
+        info.lunchAvailable = true;
+    }
+    if (evaluation.visitsRemaining !== undefined) {
+        info.visitsRemaining = evaluation.visitsRemaining;
+        if (evaluation.visitResetAt) {
+            info.resetIn = Math.ceil((evaluation.visitResetAt - Date.now()) / 1000);
+        }
+    }
+
+    return info;
+}
+
+const MAX_REASON_LENGTH = 200;
+
+async function startSession(host, type, durationMs, url, reason) {
+    const now = Date.now();
+    const evaluation = evaluateTarget(url || host, false);
+    const group = evaluation?.group || null;
+
+    if (isFocusActive(now)) {
+        return { success: false, error: 'Unlocks are off until the focus session ends' };
+    }
+    if (type !== 'grace' && type !== 'lunch') {
+        return { success: false, error: `Unknown session type "${type}"` };
+    }
+    if (!Number.isFinite(durationMs) || durationMs <= 0) {
+        return { success: false, error: 'A session needs a positive duration' };
+    }
+
+    // The blocked page only offers what is available, but it may be showing an old state
+    if (!evaluation) {
+        return { success: false, error: `${host} is not in a blocking group` };
+    }
+    if (type === 'lunch') {
+        if (!evaluation.lunchAvailable) {
+            return { success: false, error: 'No lunch session is available right now' };
+        }
+        durationMs = Math.min(durationMs, evaluation.lunchDurationMs);
+    } else {
+        if (!(evaluation.graceDurationMs > 0)) {
+            return { success: false, error: evaluation.graceUnavailable || 'No grace unlock is available right now' };
+        }
+        durationMs = Math.min(durationMs, evaluation.graceDurationMs);
+    }
+
+    const expiresAt = now + durationMs;
+    const sessionKey = type === 'lunch' && group ? group : host;
+
+    sessions[sessionKey] = {
+        type,
+        startedAt: now,
+        expiresAt
+    };
+
+    scheduleSessionAlarms(sessionKey, sessions[sessionKey]);
+
+    if (type === 'lunch') {
+        const today = getDateKey();
+        if (!usage[today]) usage[today] = {};
+        if (!usage[today]['__lunch__']) {
+            usage[today]['__lunch__'] = { lunchCount: 0 };
+        }
+        const lunch = usage[today]['__lunch__'];
+        const groupCount = getLunchCount(sessionKey, today);
+        lunch.groups = lunch.groups || {};
+        lunch.groups[sessionKey] = groupCount + 1;
+        lunch.lunchCount++;
+    } else {
+        recordGraceSession(group, durationMs, now);
+    }
+
+    await saveState();
+    // The network rule must be gone before the page navigates back to the site
+    await syncBlockingRules();
+    updateBadge();
+
+    await addUnlockToIDB({
+        at: now,
+        date: getDateKey(new Date(now)),
+        host,
+        group,
+        type,
+        durationMs,
+        reason: String(reason || '').trim().slice(0, MAX_REASON_LENGTH)
+    }).catch(error => console.error('[StartSession] Failed to log unlock:', error));
+
+    return { success: true, expiresAt };
+}
+
+const MIN_FOCUS_MS = 5 * MIN;
+const MAX_FOCUS_MS = 12 * HOUR;
+// Ending focus early is as hard as a third unlock of a site in one day
+const FOCUS_CHALLENGE_LEVEL = 2;
+
+function isFocusActive(now = Date.now()) {
+    return !!focus && focus.endsAt > now;
+}
+
+// Blocks every group until the focus session ends. Running grace and lunch sessions
+// are suspended and get their remaining time back afterwards. The challenge to end
+// it early is fixed when it starts, so an easier one cannot be chosen midway.
+async function startFocus(durationMs) {
+    if (!Number.isFinite(durationMs) || durationMs < MIN_FOCUS_MS || durationMs > MAX_FOCUS_MS) {
+        return { success: false, error: 'A focus session lasts between 5 minutes and 12 hours' };
+    }
+    const now = Date.now();
+    if (isFocusActive(now)) {
+        return { success: false, error: 'A focus session is already running' };
+    }
+
+    const suspended = {};
+    for (const [key, { expiresAt, ...session }] of Object.entries(sessions)) {
+        if (expiresAt > now) {
+            suspended[key] = { ...session, remainingMs: expiresAt - now };
+        }
+        chrome.alarms.clear(`session-${key}`);
+    }
+    sessions = {};
+
+    focus = { startedAt: now, endsAt: now + durationMs, challenge: settings.focus.challenge, suspended };
+    chrome.alarms.create('focus-end', { when: focus.endsAt });
+
+    await saveState();
+    await syncBlockingRules();
+    await reevaluateOpenTabs();
+
+    console.log(`[Focus] Started until ${new Date(focus.endsAt).toLocaleTimeString()}, ${Object.keys(suspended).length} sessions suspended`);
+    return { success: true, endsAt: focus.endsAt };
+}
+
+// Suspended sessions resume from the end of focus, which is earlier than now when the
+// browser was closed at the time
+function resumeSuspendedSessions() {
+    const now = Date.now();
+    const resumeAt = Math.min(now, focus.endsAt);
+    for (const [key, { remainingMs, ...session }] of Object.entries(focus.suspended || {})) {
+        const expiresAt = resumeAt + remainingMs;
+        if (expiresAt <= now || sessions[key]?.expiresAt >= expiresAt) continue;
+        sessions[key] = { ...session, expiresAt };
+        scheduleSessionAlarms(key, sessions[key]);
+    }
+    focus = null;
+    chrome.alarms.clear('focus-end');
+}
+
+// The challenge to end focus early. It is issued once and kept with the session, so
+// reopening the popup shows the same one and a countdown keeps running.
+async function getFocusChallenge() {
+    if (!isFocusActive()) {
+        return { success: false, error: 'No focus session is running' };
+    }
+    if (!focus.attempt) {
+        focus.attempt = issueChallenge(focus.challenge, FOCUS_CHALLENGE_LEVEL);
+        await saveState();
+    }
+    return { success: true, challenge: focus.attempt };
+}
+
+// Ends focus before its time once the answer passes the issued challenge
+async function endFocusEarly(answer) {
+    if (!isFocusActive()) {
+        return endFocus();
+    }
+    if (!focus.attempt) {
+        return { success: false, error: 'Solve the challenge to end focus early' };
+    }
+    const { passed, message, reissue } = verifyChallenge(focus.attempt, answer);
+    if (!passed && !reissue) {
+        return { success: false, error: message };
+    }
+    if (!passed) {
+        focus.attempt = issueChallenge(focus.challenge, FOCUS_CHALLENGE_LEVEL);
+        await saveState();
+        return { success: false, error: message, challenge: focus.attempt };
+    }
+    return endFocus();
+}
+
+// Runs from the focus-end alarm, or from endFocusEarly()
+async function endFocus() {
+    if (!focus) {
+        return { success: false, error: 'No focus session is running' };
+    }
+    const early = isFocusActive();
+    resumeSuspendedSessions();
+
+    await saveState();
+    await syncBlockingRules();
+    await reevaluateOpenTabs();
+
+    console.log(`[Focus] Ended${early ? ' early' : ''}`);
+    return { success: true };
+}
+
+// Adds foreground time for a page and counts a view when the host has not been seen
+// for a while. Called by the activity tracker below.
+function recordUsageTime(host, url, milliseconds) {
+    const today = getDateKey();
+    const target = url || host;
+
+    cleanupExpiredViewSessions(today);
+
+    ensureUsageObject(host, today);
+
+    const now = Date.now();
+    const currentHour = new Date(now).getHours();
+
+    // Only set firstAccess if it's 6am or later
+    if (!usage[today][host].firstAccess && currentHour >= 6) {
+        usage[today][host].firstAccess = now;
+    }
+    usage[today][host].lastAccess = now;
+
+    usage[today][host].time += milliseconds;
+
+    addToHourBuckets(usage[today][host], now, milliseconds);
+
+    // Path patterns can put pages of one host in different groups
+    const domainInfo = lookupGroup(target, domainMap);
+    if (domainInfo && milliseconds > 0) {
+        const groups = usage[today][host].groups || (usage[today][host].groups = {});
+        groups[domainInfo.group] = (groups[domainInfo.group] || 0) + milliseconds;
+    }
+
+    if (!viewSessions[host]) {
+        usage[today][host].views++;
+        console.log(`[RecordUsage] ${host}: New view session started`);
+        if (domainInfo) {
+            startVisitIfDue(host, domainInfo.group, domainInfo.config, now);
+        }
+    }
+    viewSessions[host] = now;
+
+    console.log(`[RecordUsage] ${host}: +${Math.round(milliseconds / 1000)}s, total today: ${Math.round(usage[today][host].time/1000)}s, views: ${usage[today][host].views}`);
+
+    // Budgets and allowances can run out while the page is open
+    const evaluation = evaluateTarget(target);
+    if (evaluation && !evaluation.allow) {
+        console.log(`[RecordUsage] ${evaluation.group} is now blocked, notifying tabs`);
+        notifyGroupTabs(evaluation.group, 'recheckAccess');
+        syncBlockingRules();
+    }
+}
+
+// Activity tracking. Time is credited only to the active tab of the focused window
+// while the user is active (or, optionally, while that tab plays audio). The tracked
+// tab and the time tracking started are kept in session storage because the service
+// worker can be stopped between events.
+
+// Longest stretch credited at once; anything longer means events were missed (sleep, crash)
+const MAX_TRACKED_GAP = 5 * MIN;
+
+let tracking = { host: null, url: null, tabId: null, since: null };
+let idleState = 'active';
+
+async function loadTracking() {
+    const stored = await chrome.storage.session.get(['tracking', 'idleState']);
+    tracking = stored.tracking || tracking;
+    idleState = stored.idleState || await chrome.idle.queryState(settings.tracking.idleSeconds);
+    chrome.idle.setDetectionInterval(settings.tracking.idleSeconds);
+}
+
+function persistTracking() {
+    return chrome.storage.session.set({ tracking, idleState });
+}
+
+// Credits the time since the last flush to the tracked page
+async function flushActiveTime(now = Date.now()) {
+    if (!tracking.host || !tracking.since) return;
+
+    const elapsed = Math.min(now - tracking.since, MAX_TRACKED_GAP);
+    tracking.since = now;
+    await persistTracking();
+
+    if (elapsed > 0) {
+        recordUsageTime(tracking.host, tracking.url, elapsed);
+        scheduleSave();
+    }
+}
+
+// Re-decides what is being tracked after any tab, window or idle change
+async function updateTracking() {
+    const now = Date.now();
+    await flushActiveTime(now);
+
+    const win = await chrome.windows.getLastFocused().catch(() => null);
+    const [tab] = win?.focused ? await chrome.tabs.query({ active: true, windowId: win.id }) : [];
+    const isWebPage = /^https?:/.test(tab?.url || '');
+    const userPresent = idleState === 'active' || (settings.tracking.countMediaWhenIdle && tab?.audible);
+
+    const previousHost = tracking.host;
+    if (isWebPage && userPresent) {
+        tracking = { host: getHost(tab.url), url: tab.url, tabId: tab.id, since: now };
+    } else {
+        tracking = { host: null, url: null, tabId: null, since: null };
+    }
+    await persistTracking();
+
+    // Coming to a site counts as a view even before any time accrues
+    if (tracking.host && tracking.host !== previousHost) {
+        recordUsageTime(tracking.host, tracking.url, 0);
+        scheduleSave();
+    }
+}
+
+function onActivityEvent(name) {
+    return (...args) => {
+        ensureReady().then(updateTracking).then(updateBadge).catch(error => {
+            console.error(`[Tracking] ${name} failed:`, error);
+        });
+    };
+}
+
+chrome.tabs.onActivated.addListener(onActivityEvent('tabs.onActivated'));
+chrome.windows.onFocusChanged.addListener(onActivityEvent('windows.onFocusChanged'));
+chrome.tabs.onRemoved.addListener(onActivityEvent('tabs.onRemoved'));
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // URL changes include in-page navigations; audio can keep an idle user tracked
+    if (tab.active && (changeInfo.url || changeInfo.audible !== undefined)) {
+        onActivityEvent('tabs.onUpdated')();
+    }
+});
+chrome.idle.onStateChanged.addListener((state) => {
+    ensureReady().then(async () => {
+        // Time up to now was spent while still active
+        await flushActiveTime();
+        idleState = state;
+        console.log('[Tracking] Idle state:', state);
+        await updateTracking();
+    }).catch(error => {
+        console.error('[Tracking] idle.onStateChanged failed:', error);
+    });
+});
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === 'checkAccess') {
+        ensureReady().then(async () => {
+            const access = await evaluateAccess(request.url || request.host);
+            // A stale network rule would bounce blocked.html straight back to itself
+            await syncBlockingRules();
+            return access;
+        }).then(sendResponse).catch(error => {
+            console.error('[CheckAccess] Failed:', error);
+            sendResponse({ allow: false, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'startSession') {
+        ensureReady().then(() => startSession(request.host, request.type, request.durationMs, request.url, request.reason)).then(sendResponse).catch(error => {
+            console.error('[StartSession] Failed:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'startVisit') {
+        ensureReady().then(() => startVisit(request.host, request.url)).then(sendResponse).catch(error => {
+            console.error('[StartVisit] Failed:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'getFocus') {
+        ensureReady().then(() => {
+            const { suspended, attempt, ...running } = focus || {};
+            sendResponse({ focus: isFocusActive() ? running : null, challenge: settings.focus.challenge });
         }).catch(error => {
-            console.error('[RecordUsage] Save failed:', error);
+            console.error('[GetFocus] Failed:', error);
+            sendResponse({ focus: null, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'startFocus') {
+        ensureReady().then(() => startFocus(request.durationMs)).then(sendResponse).catch(error => {
+            console.error('[StartFocus] Failed:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'getFocusChallenge') {
+        ensureReady().then(getFocusChallenge).then(sendResponse).catch(error => {
+            console.error('[GetFocusChallenge] Failed:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'endFocus') {
+        ensureReady().then(() => endFocusEarly(request.answer)).then(sendResponse).catch(error => {
+            console.error('[EndFocus] Failed:', error);
             sendResponse({ success: false, error: error.message });
         });
-
         return true;
     } else if (request.action === 'getUsage') {
-        ensureReady().then(() => {
+        ensureReady().then(() => flushActiveTime()).then(() => {
             const today = getDateKey();
             cleanupExpiredViewSessions(today);
             const todayUsage = usage[today] || {};
@@ -672,11 +1650,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         });
         return true;
     } else if (request.action === 'getCurrentSite') {
-        ensureReady().then(() => {
+        ensureReady().then(() => flushActiveTime()).then(() => {
             chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
                 if (tabs[0] && tabs[0].url) {
                     const host = getHost(tabs[0].url);
-                    const siteInfo = getSiteInfo(host);
+                    const siteInfo = getSiteInfo(tabs[0].url);
                     sendResponse({ host, siteInfo });
                 } else {
                     sendResponse({ host: null, siteInfo: null });
@@ -687,6 +1665,79 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             sendResponse({ host: null, siteInfo: null, error: error.message });
         });
         return true;
+    } else if (request.action === 'getPolicies') {
+        ensureReady().then(() => {
+            sendResponse({ policies, defaults: DEFAULT_POLICIES, pending: pendingChanges });
+        }).catch(error => {
+            console.error('[GetPolicies] Failed:', error);
+            sendResponse({ policies: null, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'savePolicies') {
+        ensureReady().then(() => savePolicies(request.policies)).then(sendResponse).catch(error => {
+            console.error('[SavePolicies] Failed:', error);
+            sendResponse({ success: false, errors: [error.message] });
+        });
+        return true;
+    } else if (request.action === 'getStorageHealth') {
+        ensureReady().then(async () => {
+            const health = await checkStorageHealth();
+            const records = await getStorageRecordsFromIDB();
+            const lastCompaction = await loadConfigValue('lastCompaction');
+            sendResponse({ success: true, health, records, lastCompaction, retention: settings.retention, writes: writeStats });
+        }).catch(error => {
+            console.error('[GetStorageHealth] Failed:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'cancelPendingChange') {
+        ensureReady().then(() => cancelPendingChange(request.id)).then(sendResponse).catch(error => {
+            console.error('[CancelPendingChange] Failed:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'getSettings') {
+        ensureReady().then(() => {
+            sendResponse({ settings, defaults: DEFAULT_SETTINGS });
+        }).catch(error => {
+            console.error('[GetSettings] Failed:', error);
+            sendResponse({ settings: null, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'saveSettings') {
+        ensureReady().then(() => saveSettings(request.settings)).then(sendResponse).catch(error => {
+            console.error('[SaveSettings] Failed:', error);
+            sendResponse({ success: false, errors: [error.message] });
+        });
+        return true;
+    } else if (request.action === 'compactUsage') {
+        ensureReady().then(compactUsage).then(result => {
+            sendResponse({ success: true, result });
+        }).catch(error => {
+            console.error('[CompactUsage] Failed:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'createBackup') {
+        ensureReady().then(createBackup).then(backup => {
+            sendResponse({ success: true, backup });
+        }).catch(error => {
+            console.error('[CreateBackup] Failed:', error);
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    } else if (request.action === 'restoreBackup') {
+        ensureReady().then(() => restoreBackup(request.backup, request.mode)).then(sendResponse).catch(error => {
+            console.error('[RestoreBackup] Failed:', error);
+            sendResponse({ success: false, errors: [error.message] });
+        });
+        return true;
+    } else if (request.action === 'importUsage') {
+        ensureReady().then(() => importUsage(request.days, request.mode)).then(sendResponse).catch(error => {
+            console.error('[ImportUsage] Failed:', error);
+            sendResponse({ success: false, errors: [error.message] });
+        });
+        return true;
     } else if (request.action === 'recordTempAccess') {
         ensureReady().then(() => {
             const { host } = request;
@@ -699,7 +1750,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
             console.log(`[RecordTempAccess] ${host}: temp access count = ${usage[today][host].tempAccessCount}`);
 
-            return saveState();
+            scheduleSave();
         }).then(() => {
             sendResponse({ success: true });
         }).catch(error => {
@@ -719,15 +1770,264 @@ async function notifyTabsOfBlock(host) {
     }
 }
 
-async function notifyStreamingTabs() {
+async function notifyGroupTabs(group, action = 'sessionExpired') {
     const tabs = await chrome.tabs.query({});
     for (const tab of tabs) {
         if (tab.url) {
-            const host = getHost(tab.url);
-            const domainInfo = lookupGroup(host, domainMap);
-            if (domainInfo?.group === 'streaming') {
-                chrome.tabs.sendMessage(tab.id, { action: 'sessionExpired' }).catch(() => {});
+            const domainInfo = lookupGroup(tab.url, domainMap) || lookupAllowlist(tab.url, domainMap);
+            if (domainInfo?.group === group) {
+                chrome.tabs.sendMessage(tab.id, { action }).catch(() => {});
+            }
+        }
+    }
+}
+
+// Ask every open page to re-run its access check after the rules changed
+async function reevaluateOpenTabs() {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        if (tab.url && (lookupGroup(tab.url, domainMap) || lookupAllowlist(tab.url, domainMap))) {
+            // Pages newly covered by a group have no content script yet; it checks access on load
+            chrome.tabs.sendMessage(tab.id, { action: 'recheckAccess' })
+                .catch(() => injectContentScripts(tab.id))
+                .catch(() => {});
+        }
+    }
+
+    // Extension pages such as blocked.html only receive runtime messages
+    chrome.runtime.sendMessage({ action: 'policiesUpdated' }).catch(() => {});
+    updateBadge();
+}
+
+// Toolbar badge for the active tab of each window: the time left of a session, visit,
+// allowance or budget, turning amber and then red as it runs out. Sites that are open
+// without any limit running show nothing.
+const BADGE_WARNING_MS = 5 * MIN;
+const BADGE_CRITICAL_MS = MIN;
+// success-30, an amber and error-30 from common/base.css
+const BADGE_COLORS = { normal: '#2E7D32', warning: '#F9A825', critical: '#C62828' };
+
+function formatBadgeTime(ms) {
+    if (ms >= HOUR) return `${Math.floor(ms / HOUR)}h`;
+    if (ms >= MIN) return `${Math.ceil(ms / MIN)}m`;
+    return `${Math.ceil(ms / SEC)}s`;
+}
+
+function describeBadge(evaluation) {
+    if (!evaluation) return null;
+    if (evaluation.session) {
+        return { group: evaluation.group, label: `${evaluation.session.type} session`, remainingMs: evaluation.remainingMs };
+    }
+    if (evaluation.blocked) return null;
+
+    const limits = [
+        ['visit', evaluation.visitRemainingMs],
+        ['daily allowance', evaluation.allowanceRemainingMs],
+        ['time budget', evaluation.budgetRemainingMs]
+    ];
+    const [label, remainingMs] = limits.find(([, ms]) => ms > 0) || [];
+    return label ? { group: evaluation.group, label, remainingMs } : null;
+}
+
+async function setTabBadge(tabId, badge) {
+    const title = chrome.runtime.getManifest().name;
+    if (!badge) {
+        await chrome.action.setBadgeText({ tabId, text: '' });
+        await chrome.action.setTitle({ tabId, title });
+        return;
+    }
+
+    const color = badge.remainingMs <= BADGE_CRITICAL_MS ? BADGE_COLORS.critical
+        : badge.remainingMs <= BADGE_WARNING_MS ? BADGE_COLORS.warning
+            : BADGE_COLORS.normal;
+    await chrome.action.setBadgeText({ tabId, text: formatBadgeTime(badge.remainingMs) });
+    await chrome.action.setBadgeBackgroundColor({ tabId, color });
+    await chrome.action.setTitle({
+        tabId,
+        title: `${title}\n${groupLabel(badge.group)}: ${formatTimeRemaining(Math.ceil(badge.remainingMs / 1000))} left of the ${badge.label}`
+    });
+}
+
+async function updateBadge() {
+    if (!chrome.action) return;
+
+    const tabs = await chrome.tabs.query({ active: true });
+    for (const tab of tabs) {
+        const evaluation = /^https?:/.test(tab.url || '') ? evaluateTarget(tab.url) : null;
+        // The tab may have closed in the meantime
+        await setTabBadge(tab.id, describeBadge(evaluation)).catch(() => {});
+    }
+}
+
+// Content scripts only go into pages a policy group governs; time tracking does not
+// need them. Host patterns become registered match patterns. Regular expression
+// patterns cannot be expressed that way, so those pages get the scripts injected
+// when a tab navigates to them. Allowlist mode governs the whole web, so with an
+// allowlist they go into every page.
+const CONTENT_SCRIPTS = [
+    { id: 'outer-control-spa-hook', js: ['spa-hook.js'], runAt: 'document_start', world: 'MAIN' },
+    { id: 'outer-control-content', js: ['content.js'], runAt: 'document_start' }
+];
+
+let registeredHosts = new Set();
+
+const ALL_SITES = '*';
+
+function buildContentScriptHosts() {
+    if (policies[ALLOWLIST_GROUP]) {
+        return new Set([ALL_SITES]);
+    }
+
+    const hosts = new Set();
+    for (const config of Object.values(policies)) {
+        for (const pattern of config.hosts) {
+            const parsed = parsePattern(pattern);
+            if (!parsed.regex) hosts.add(parsed.host);
+        }
+    }
+    return hosts;
+}
+
+function isHostRegistered(hostname) {
+    if (registeredHosts.has(ALL_SITES)) return true;
+    const parts = hostname.split('.');
+    return parts.some((_, i) => registeredHosts.has(parts.slice(i).join('.')));
+}
+
+async function syncContentScripts() {
+    const hosts = buildContentScriptHosts();
+    const matches = hosts.has(ALL_SITES)
+        ? ['*://*/*']
+        : [...hosts].sort().flatMap(host => [`*://${host}/*`, `*://*.${host}/*`]);
+    registeredHosts = hosts;
+
+    const ids = CONTENT_SCRIPTS.map(script => script.id);
+    const existing = await chrome.scripting.getRegisteredContentScripts({ ids });
+    if (existing.length === ids.length && JSON.stringify(existing[0].matches) === JSON.stringify(matches)) {
+        return;
+    }
+
+    if (existing.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: existing.map(script => script.id) });
+    }
+    if (matches.length > 0) {
+        await chrome.scripting.registerContentScripts(CONTENT_SCRIPTS.map(script => ({ ...script, matches, persistAcrossSessions: true })));
+    }
+    console.log(`[ContentScripts] Registered for ${hosts.has(ALL_SITES) ? 'all sites' : `${hosts.size} hosts`}`);
+}
+
+// Both scripts ignore a second injection into the same page
+async function injectContentScripts(tabId) {
+    for (const script of CONTENT_SCRIPTS) {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: script.js,
+            world: script.world || 'ISOLATED'
+        });
+    }
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.status !== 'loading' || !/^https?:/.test(tab.url || '')) return;
+
+    ensureReady().then(async () => {
+        if (isHostRegistered(new URL(tab.url).hostname) || !lookupGroup(tab.url, domainMap)) return;
+        await injectContentScripts(tabId);
+    }).catch(error => {
+        console.warn('[ContentScripts] Injection failed:', error.message);
+    });
+});
+
+let appliedBlockingRules = null;
+let blockingRulesQueue = Promise.resolve();
+
+// declarativeNetRequest rules mirroring evaluateAccess: main-frame requests to a blocked
+// group redirect to blocked.html before the page can load. Hosts with their own grace
+// session are excluded, and a group-wide (lunch) session drops the group's rules entirely.
+function buildBlockingRules() {
+    const now = Date.now();
+    // Focus mode leaves no host unblocked, whatever sessions exist
+    const sessionHosts = isFocusActive(now) ? [] : Object.keys(sessions).filter(key => !policies[key] && sessions[key].expiresAt > now);
+    const redirect = {
+        type: 'redirect',
+        redirect: { regexSubstitution: chrome.runtime.getURL('blocked.html') + '?url=\\1' }
+    };
+
+    const rules = [];
+    for (const [group, config] of Object.entries(policies)) {
+        const groupSession = sessions[group]?.expiresAt > now ? sessions[group] : null;
+        if (evaluateGroupNow(group, config, groupSession).allow) continue;
+
+        // Allowlist mode sends every page elsewhere, except on allowlisted hosts. A path
+        // pattern lets its whole host through here and the content script does the rest.
+        if (group === ALLOWLIST_GROUP) {
+            const allowedHosts = config.hosts.map(pattern => parsePattern(pattern).host);
+            rules.push({
+                priority: 1,
+                action: redirect,
+                condition: {
+                    regexFilter: '^(https?://.*)$',
+                    resourceTypes: ['main_frame'],
+                    excludedRequestDomains: [...new Set([...allowedHosts, ...sessionHosts])]
+                }
+            });
+            continue;
+        }
+        if (hasRegexExceptions(config)) continue;
+
+        for (const pattern of config.hosts) {
+            const parsed = parsePattern(pattern);
+            // Full-URL regular expressions are left to the content script
+            if (parsed.regex) continue;
+
+            const condition = {
+                regexFilter: `^(${patternToUrlRegex(parsed)})$`,
+                isUrlFilterCaseSensitive: false,
+                resourceTypes: ['main_frame']
+            };
+            if (sessionHosts.length > 0) {
+                condition.excludedRequestDomains = sessionHosts;
             }
+            rules.push({ priority: 1, action: redirect, condition });
+        }
+
+        for (const pattern of config.exceptions || []) {
+            const parsed = parsePattern(pattern);
+            rules.push({
+                priority: 2,
+                action: { type: 'allow' },
+                condition: {
+                    regexFilter: `^${patternToUrlRegex(parsed)}$`,
+                    isUrlFilterCaseSensitive: false,
+                    resourceTypes: ['main_frame']
+                }
+            });
         }
     }
+
+    return rules.map((rule, i) => ({ id: i + 1, ...rule }));
+}
+
+async function applyBlockingRules() {
+    const rules = buildBlockingRules();
+    const serialized = JSON.stringify(rules);
+    if (serialized === appliedBlockingRules) return;
+
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    await chrome.declarativeNetRequest.updateDynamicRules({
+        removeRuleIds: existing.map(rule => rule.id),
+        addRules: rules
+    });
+    appliedBlockingRules = serialized;
+    console.log(`[BlockingRules] ${rules.length} network rules active`);
+}
+
+// Updates are serialized so two callers never add the same rule IDs at once
+function syncBlockingRules() {
+    if (!chrome.declarativeNetRequest) return Promise.resolve();
+
+    blockingRulesQueue = blockingRulesQueue.then(applyBlockingRules).catch(error => {
+        console.error('[BlockingRules] Failed to update network rules:', error);
+    });
+    return blockingRulesQueue;
 }
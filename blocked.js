@@ -1,12 +1,28 @@
-const params = new URLSearchParams(window.location.search);
-const originalUrl = params.get('url');
+import { createChallenge } from './common/challenges.js';
+import { groupLabel } from './common/policies.js';
+
+// content.js encodes the URL; network-level redirects pass it through as-is,
+// query string included, so it cannot go through URLSearchParams
+function getOriginalUrl() {
+    const raw = window.location.search.replace(/^\?url=/, '');
+    return /^https?%3A/i.test(raw) ? decodeURIComponent(raw) : raw;
+}
+
+const originalUrl = getOriginalUrl();
 
 let group = null;
 let reason = null;
 let lunchAvailable = false;
 let lunchCount = 0;
 let maxLunchSessions = 0;
+let lunchDurationMs = 0;
 let graceMs = 0;
+let graceUnavailable = null;
+let visitAvailable = false;
+let challengeType = null;
+let challenge = null;
+let countdownKey = null;
+let unlockSettings = { askReason: false, requireReason: false };
 let host = null;
 
 function getHost(url) {
@@ -28,10 +44,33 @@ function formatDuration(ms) {
     return `${minutes} minute${minutes === 1 ? '' : 's'}`;
 }
 
+// An allowlist's hosts are the sites left open, and its exceptions are blocked anyway
+function renderRules(ruleLines, hosts, exceptions, allowlist) {
+    const rulesText = document.getElementById('rules-text');
+    rulesText.innerHTML = '';
+
+    if (ruleLines.length === 0) {
+        rulesText.innerHTML = '<p>No specific rules defined</p>';
+        return;
+    }
+
+    const list = document.createElement('ul');
+    const lines = [...ruleLines, `${allowlist ? 'Only allowed' : 'Applies to'}: ${hosts.join(', ')}`];
+    if (exceptions.length > 0) {
+        lines.push(`${allowlist ? 'Blocked even so' : 'Always allowed'}: ${exceptions.join(', ')}`);
+    }
+    for (const line of lines) {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+    }
+    rulesText.appendChild(list);
+}
+
 async function loadBlockingInfo() {
     const response = await chrome.runtime.sendMessage({
         action: 'checkAccess',
-        host: host
+        url: originalUrl
     });
 
     if (response.allow) {
@@ -45,77 +84,72 @@ async function loadBlockingInfo() {
     lunchAvailable = response.lunchAvailable || false;
     lunchCount = response.lunchCount || 0;
     maxLunchSessions = response.maxLunchSessions || 0;
+    lunchDurationMs = response.lunchDurationMs || 0;
     graceMs = response.graceDurationMs || 0;
+    graceUnavailable = response.graceUnavailable || null;
+    visitAvailable = response.visitAvailable || false;
+    challengeType = response.challenge;
 
-    document.getElementById('group-name').textContent = `Blocking Group: ${group}`;
+    document.getElementById('group-name').textContent = response.allowlist ? groupLabel(group) : `Blocking Group: ${group}`;
     document.getElementById('reason').textContent = reason;
 
-    const rulesText = document.getElementById('rules-text');
-    rulesText.innerHTML = rules[group] || '<p>No specific rules defined</p>';
+    renderRules(response.rules || [], response.hosts || [], response.exceptions || [], response.allowlist);
+
+    document.getElementById('visit-section').style.display = visitAvailable ? 'block' : 'none';
+    if (visitAvailable) {
+        document.getElementById('visit-info').textContent =
+            `${response.visitsRemaining} of ${response.maxVisits} visits left. The page was open when the last one ended.`;
+        document.getElementById('visit-button').textContent = `Start a ${formatDuration(response.visitDurationMs)} visit`;
+    }
 
+    const tempAccessCount = await loadTempAccessCount();
+    await loadUnlockSettings();
+
+    // A capped grace period stays visible so it is clear why it cannot be used
+    document.getElementById('grace-section').style.display = group && (graceMs > 0 || graceUnavailable) ? 'block' : 'none';
+    document.getElementById('grace-unlock').style.display = graceMs > 0 ? 'block' : 'none';
+    document.getElementById('grace-limit').style.display = graceUnavailable ? 'block' : 'none';
+    document.getElementById('grace-limit').textContent = graceUnavailable ? `${graceUnavailable}.` : '';
     if (group && graceMs > 0) {
-        document.getElementById('grace-section').style.display = 'block';
         const graceButton = document.getElementById('grace-button');
         graceButton.textContent = `Unlock for ${formatDuration(graceMs)}`;
-        generateCode();
+        // Each unlock already taken today makes the next challenge harder. A countdown's
+        // progress is kept in session storage, so reloading the page, as a policy change
+        // does, carries on from where it was.
+        countdownKey = `countdown-${host}-${tempAccessCount}`;
+        const { [countdownKey]: elapsedSeconds = 0 } = await chrome.storage.session.get(countdownKey);
+        challenge = createChallenge(challengeType, document.getElementById('challenge'), tempAccessCount, {
+            elapsedSeconds,
+            onProgress: seconds => chrome.storage.session.set({ [countdownKey]: seconds })
+        });
     }
 
-    if (group === 'streaming' && maxLunchSessions > 0) {
-        document.getElementById('lunch-count').textContent = `Lunch sessions used: ${lunchCount}/${maxLunchSessions}`;
-        document.getElementById('lunch-count').style.display = 'block';
+    document.getElementById('lunch-count').style.display = maxLunchSessions > 0 ? 'block' : 'none';
+    if (maxLunchSessions > 0) {
+        document.getElementById('lunch-count').textContent = `Lunch sessions used: ${lunchCount}/${maxLunchSessions}` +
+            (response.maxLunchPerWeek !== undefined ? `, ${response.lunchWeekCount}/${response.maxLunchPerWeek} this week` : '');
     }
 
+    document.getElementById('lunch-section').style.display = lunchAvailable ? 'block' : 'none';
     if (lunchAvailable) {
-        document.getElementById('lunch-section').style.display = 'block';
+        document.getElementById('lunch-button').textContent = `Start lunch session (${formatDuration(lunchDurationMs)})`;
     }
-
-    await loadTempAccessCount();
 }
 
-const rules = {
-    social: `
-    <ul>
-      <li>Blocked 24/7</li>
-      <li>5-minute grace periods available with code entry</li>
-      <li>Includes: Reddit, Twitter/X</li>
-    </ul>
-  `,
-    streaming: `
-    <ul>
-      <li>During work hours (Mon-Fri 9am-5pm): 1 hour total allowed per day (timer starts from first access)</li>
-      <li>After 1-hour allowance exhausted: blocked for rest of work day</li>
-      <li>Three 45-minute lunch sessions available between 11am-3pm (if allowance exhausted)</li>
-      <li>5-minute grace periods available with code entry during work hours</li>
-      <li>Evening hours (9pm-2am): blocked, but 30-minute sessions available with code entry</li>
-      <li>Unlimited access on weekends and outside restricted hours (5pm-9pm, 2am-9am)</li>
-      <li>Includes: YouTube, Disney+, Paramount+, HBO Max, Netflix</li>
-    </ul>
-  `,
-    hackerNews: `
-    <ul>
-      <li>Blocked during work hours (Mon-Fri 9am-5pm)</li>
-      <li>Blocked during evening hours (9pm-2am)</li>
-      <li>5-minute grace periods available with code entry</li>
-      <li>Unlimited access outside restricted hours</li>
-      <li>Applies to: news.ycombinator.com</li>
-    </ul>
-  `
-};
-
 loadBlockingInfo().catch(err => console.error('Failed to load blocking info:', err));
 
+// Policies were edited on the options page; the site may no longer be blocked
+chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === 'policiesUpdated') {
+        loadBlockingInfo().catch(err => console.error('Failed to reload blocking info:', err));
+    }
+});
+
 async function loadTempAccessCount() {
     try {
         const result = await chrome.runtime.sendMessage({ action: 'getUsage' });
         const usage = result.usage || {};
-        const hostData = usage[host];
-        let count = 0;
-
-        if (hostData) {
-            if (typeof hostData === 'object' && hostData.tempAccessCount !== undefined) {
-                count = hostData.tempAccessCount;
-            }
-        }
+        const count = usage[host]?.tempAccessCount || 0;
 
         const countElem = document.getElementById('temp-access-count');
         if (count === 0) {
@@ -125,74 +159,107 @@ async function loadTempAccessCount() {
         } else {
             countElem.textContent = `You have requested ${count} temporary accesses for ${host} today.`;
         }
+        return count;
     } catch (error) {
         console.error('Failed to load temp access count:', error);
+        return 0;
     }
 }
 
-let currentCode = '';
-
-function generateCode() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let newCode = '';
-    for (let i = 0; i < 16; i++) {
-        newCode += chars[Math.floor(Math.random() * chars.length)];
+async function loadUnlockSettings() {
+    try {
+        const { settings } = await chrome.runtime.sendMessage({ action: 'getSettings' });
+        unlockSettings = settings.unlocks;
+    } catch (error) {
+        console.error('Failed to load unlock settings:', error);
     }
-    currentCode = newCode;
-
-    const canvas = document.getElementById('code-canvas');
-    const rect = canvas.getBoundingClientRect();
-    canvas.width = rect.width;
-    canvas.height = 50;
 
-    const ctx = canvas.getContext('2d');
+    const canUnlock = group && (graceMs > 0 || lunchAvailable);
+    document.getElementById('reason-section').style.display = canUnlock && unlockSettings.askReason ? 'block' : 'none';
+    document.getElementById('reason-label').textContent = unlockSettings.requireReason
+        ? 'Why do you want to unlock?'
+        : 'Why do you want to unlock? (optional)';
+}
 
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.font = '24px monospace';
-    ctx.fillStyle = '#000';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(currentCode, canvas.width / 2, canvas.height / 2);
+// Null when a required reason is missing
+function readUnlockReason() {
+    if (!unlockSettings.askReason) return '';
+    const value = document.getElementById('unlock-reason').value.trim();
+    if (!value && unlockSettings.requireReason) {
+        alert('Write down why you want to unlock first.');
+        document.getElementById('unlock-reason').focus();
+        return null;
+    }
+    return value;
 }
 
 document.getElementById('grace-button').addEventListener('click', async () => {
-    const input = document.getElementById('code-input').value.toUpperCase();
+    const unlockReason = readUnlockReason();
+    if (unlockReason === null) return;
 
-    if (input !== currentCode) {
-        alert('Incorrect code. Try again.');
-        generateCode();
-        document.getElementById('code-input').value = '';
+    // The session only starts once the group's challenge is solved
+    const { passed, message } = challenge.check();
+    if (!passed) {
+        alert(message);
         return;
     }
 
-    await chrome.runtime.sendMessage({
-        action: 'recordTempAccess',
-        host: host
-    });
-
     const result = await chrome.runtime.sendMessage({
         action: 'startSession',
         host: host,
+        url: originalUrl,
         type: 'grace',
-        durationMs: graceMs
+        durationMs: graceMs,
+        reason: unlockReason
+    });
+
+    if (result.success) {
+        await chrome.runtime.sendMessage({
+            action: 'recordTempAccess',
+            host: host
+        });
+        await chrome.storage.session.remove(countdownKey);
+        window.location.href = originalUrl;
+    } else {
+        alert(result.error || 'Could not unlock');
+        await loadBlockingInfo();
+    }
+});
+
+document.getElementById('visit-button').addEventListener('click', async () => {
+    const result = await chrome.runtime.sendMessage({
+        action: 'startVisit',
+        host: host,
+        url: originalUrl
     });
 
     if (result.success) {
         window.location.href = originalUrl;
+    } else {
+        alert(result.error || 'Could not start a visit');
+        await loadBlockingInfo();
     }
 });
 
 if (document.getElementById('lunch-button')) {
     document.getElementById('lunch-button').addEventListener('click', async () => {
+        const unlockReason = readUnlockReason();
+        if (unlockReason === null) return;
+
         const result = await chrome.runtime.sendMessage({
             action: 'startSession',
             host: host,
+            url: originalUrl,
             type: 'lunch',
-            durationMs: 45 * 60 * 1000
+            durationMs: lunchDurationMs,
+            reason: unlockReason
         });
 
         if (result.success) {
             window.location.href = originalUrl;
+        } else {
+            alert(result.error || 'Could not start a lunch session');
+            await loadBlockingInfo();
         }
     });
 }
@@ -0,0 +1,239 @@
+// Unlock challenges, solved on the blocked page before a grace session starts, and in
+// the popup to end a focus session early.
+//
+// Each group picks one type with its `challenge` field. A type is split in three:
+// issue(level) makes a prompt, a plain object with everything needed to show and check
+// it; render(container, prompt, options) shows it and returns { read() } for the typed
+// answer; verify(prompt, answer, elapsedMs) gives { passed, message } and `reissue` when
+// a fresh prompt should replace this one. `level` is the number of temporary accesses
+// already taken for the site today; every type gets harder as it grows.
+//
+// The blocked page issues and checks its own challenges with createChallenge(). Focus
+// mode keeps the prompt in the background worker, which checks the answer with
+// verifyChallenge(), so the popup only shows it with showChallenge().
+
+export const DEFAULT_CHALLENGE = 'code';
+
+const CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const CODE_LINE_LENGTH = 16;
+
+const SENTENCES = [
+    'I am choosing to spend time on this site instead of what I planned to do.',
+    'This site was blocked because I decided earlier that it was not worth my time.',
+    'Nothing here is urgent, and it will still be here when my work is done.',
+    'I will close this tab as soon as the unlock runs out.'
+];
+
+function randomInt(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function createInput(container, placeholder) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'challenge-input';
+    input.placeholder = placeholder;
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    // The point is to make unlocking take effort
+    input.addEventListener('paste', event => event.preventDefault());
+    input.addEventListener('drop', event => event.preventDefault());
+    container.appendChild(input);
+    return input;
+}
+
+function addText(container, text) {
+    const p = document.createElement('p');
+    p.textContent = text;
+    container.appendChild(p);
+    return p;
+}
+
+// Text on a canvas cannot be selected and copied
+function drawText(canvas, lines) {
+    const rect = canvas.getBoundingClientRect();
+    canvas.width = rect.width || 200;
+    canvas.height = 20 + lines.length * 30;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '24px monospace';
+    ctx.fillStyle = '#000';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    lines.forEach((line, i) => ctx.fillText(line, canvas.width / 2, 25 + i * 30));
+}
+
+function codeLines(code) {
+    const lines = [];
+    for (let i = 0; i < code.length; i += CODE_LINE_LENGTH) {
+        lines.push(code.slice(i, i + CODE_LINE_LENGTH));
+    }
+    return lines;
+}
+
+// A random code drawn on a canvas, 16 characters plus 8 per earlier unlock
+const codeChallenge = {
+    issue(level) {
+        const length = Math.min(CODE_LINE_LENGTH + 8 * level, 48);
+        return { code: Array.from({ length }, () => CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]).join('') };
+    },
+    render(container, { code }) {
+        addText(container, `Type the ${code.length}-character code shown below:`);
+        const canvas = document.createElement('canvas');
+        canvas.className = 'challenge-canvas';
+        container.appendChild(canvas);
+        const input = createInput(container, 'Enter code');
+        drawText(canvas, codeLines(code));
+        return { read: () => input.value };
+    },
+    verify({ code }, answer) {
+        return answer.replace(/\s/g, '').toUpperCase() === code
+            ? { passed: true }
+            : { passed: false, message: 'Incorrect code. Try again with the new one.', reissue: true };
+    }
+};
+
+// A wait, 30 seconds doubling per earlier unlock. On the blocked page it only runs while
+// the page is visible, from `elapsedSeconds` on, and reports each second to `onProgress`
+// so a reload can carry on. Given `startedAt`, it is the background's clock that counts.
+const countdownChallenge = {
+    issue(level) {
+        return { seconds: Math.min(30 * 2 ** level, 600) };
+    },
+    render(container, { seconds }, { startedAt, elapsedSeconds = 0, onProgress } = {}) {
+        let elapsed = Math.min(elapsedSeconds, seconds);
+        const remaining = () => startedAt
+            ? Math.max(0, seconds - Math.floor((Date.now() - startedAt) / 1000))
+            : seconds - elapsed;
+        const status = addText(container, '');
+        const show = () => {
+            if (startedAt) {
+                status.textContent = remaining() > 0 ? `Wait ${remaining()} more seconds.` : 'You can go on now.';
+                return;
+            }
+            status.textContent = remaining() > 0
+                ? `Wait ${remaining()} seconds with this page open before unlocking.`
+                : 'You can unlock now.';
+        };
+        show();
+
+        const timer = setInterval(() => {
+            // Replaced by a new challenge
+            if (!status.isConnected) {
+                clearInterval(timer);
+                return;
+            }
+            if (!startedAt) {
+                if (document.hidden || remaining() === 0) return;
+                elapsed++;
+                onProgress?.(elapsed);
+            }
+            show();
+            if (remaining() === 0) clearInterval(timer);
+        }, 1000);
+
+        return { read: () => '', elapsedMs: () => elapsed * 1000 };
+    },
+    verify({ seconds }, answer, elapsedMs) {
+        const remaining = Math.ceil(seconds - elapsedMs / 1000);
+        return remaining <= 0
+            ? { passed: true }
+            : { passed: false, message: `Keep waiting, ${remaining} seconds left.` };
+    }
+};
+
+const normalizeText = value => value.trim().replace(/\s+/g, ' ');
+
+// Sentences to copy by hand, one more per earlier unlock
+const sentenceChallenge = {
+    issue(level) {
+        return { text: SENTENCES.slice(0, Math.min(1 + level, SENTENCES.length)).join(' ') };
+    },
+    render(container, { text }) {
+        addText(container, 'Type the following exactly:');
+        const quote = document.createElement('blockquote');
+        quote.className = 'challenge-sentence';
+        quote.textContent = text;
+        container.appendChild(quote);
+        const input = createInput(container, 'Type the text above');
+        return { read: () => input.value };
+    },
+    verify({ text }, answer) {
+        return normalizeText(answer) === text
+            ? { passed: true }
+            : { passed: false, message: 'The text does not match. Check spelling and punctuation.' };
+    }
+};
+
+// a × b + c, where a gets one more digit per earlier unlock
+const mathChallenge = {
+    issue(level) {
+        const digits = Math.min(2 + level, 5);
+        return {
+            a: randomInt(10 ** (digits - 1), 10 ** digits - 1),
+            b: randomInt(3, 9),
+            c: randomInt(10, 99)
+        };
+    },
+    render(container, { a, b, c }) {
+        addText(container, `Work out ${a} × ${b} + ${c} without a calculator:`);
+        const input = createInput(container, 'Answer');
+        return { read: () => input.value };
+    },
+    verify({ a, b, c }, answer) {
+        return answer.trim() !== '' && Number(answer.trim()) === a * b + c
+            ? { passed: true }
+            : { passed: false, message: 'Wrong answer. Try the new problem.', reissue: true };
+    }
+};
+
+export const CHALLENGES = {
+    code: { label: 'Copy a random code', ...codeChallenge },
+    countdown: { label: 'Wait for a countdown', ...countdownChallenge },
+    sentence: { label: 'Type out a sentence', ...sentenceChallenge },
+    math: { label: 'Solve an arithmetic problem', ...mathChallenge }
+};
+
+function challengeOf(type) {
+    return CHALLENGES[type] || CHALLENGES[DEFAULT_CHALLENGE];
+}
+
+// Renders a challenge that the page checks itself into `container`, replacing whatever
+// was there, and returns { check() }. `countdown` holds the countdown's render options.
+export function createChallenge(type, container, level, countdown = {}) {
+    const challenge = challengeOf(type);
+    let prompt;
+    let shown;
+    const show = () => {
+        container.innerHTML = '';
+        prompt = challenge.issue(Math.max(0, level || 0));
+        shown = challenge.render(container, prompt, countdown);
+    };
+    show();
+
+    return {
+        check() {
+            const { reissue, ...result } = challenge.verify(prompt, shown.read(), shown.elapsedMs?.() ?? 0);
+            if (!result.passed && reissue) show();
+            return result;
+        }
+    };
+}
+
+// Issued challenges are { type, prompt, issuedAt }, kept by whoever checks the answer
+export function issueChallenge(type, level, now = Date.now()) {
+    const resolved = CHALLENGES[type] ? type : DEFAULT_CHALLENGE;
+    return { type: resolved, prompt: CHALLENGES[resolved].issue(Math.max(0, level || 0)), issuedAt: now };
+}
+
+// Countdowns run from when the challenge was issued
+export function verifyChallenge(issued, answer, now = Date.now()) {
+    return challengeOf(issued.type).verify(issued.prompt, String(answer ?? ''), now - issued.issuedAt);
+}
+
+// Shows an issued challenge without checking it, and returns { read() }
+export function showChallenge(issued, container) {
+    container.innerHTML = '';
+    return challengeOf(issued.type).render(container, issued.prompt, { startedAt: issued.issuedAt });
+}
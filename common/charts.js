@@ -0,0 +1,193 @@
+// Small SVG chart helpers for the dashboard. Everything is drawn locally,
+// no chart library or network access involved.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export const PALETTE = ['#2E8CAD', '#E57373', '#66BB6A', '#FFB74D', '#9575CD', '#4DB6AC', '#F06292', '#A1887F', '#90A4AE', '#DCE775'];
+
+const WIDTH = 900;
+const HEIGHT = 280;
+const MARGIN = { top: 15, right: 15, bottom: 40, left: 60 };
+const MAX_X_LABELS = 12;
+
+function svgEl(tag, attrs = {}, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [key, value] of Object.entries(attrs)) {
+        el.setAttribute(key, value);
+    }
+    if (text !== undefined) {
+        el.textContent = text;
+    }
+    return el;
+}
+
+function createSvg(height = HEIGHT) {
+    return svgEl('svg', { viewBox: `0 0 ${WIDTH} ${height}`, preserveAspectRatio: 'xMidYMid meet' });
+}
+
+function drawAxes(svg, labels, maxValue, formatValue, plotHeight) {
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const grid = svgEl('g', { class: 'grid' });
+    const axis = svgEl('g', { class: 'axis' });
+
+    for (let i = 0; i <= 4; i++) {
+        const value = (maxValue * i) / 4;
+        const y = MARGIN.top + plotHeight - (plotHeight * i) / 4;
+        grid.appendChild(svgEl('line', { x1: MARGIN.left, x2: MARGIN.left + plotWidth, y1: y, y2: y }));
+        axis.appendChild(svgEl('text', { x: MARGIN.left - 6, y: y + 4, 'text-anchor': 'end' }, formatValue(value)));
+    }
+
+    const step = Math.ceil(labels.length / MAX_X_LABELS);
+    const slot = plotWidth / labels.length;
+    labels.forEach((label, i) => {
+        if (i % step !== 0) return;
+        const x = MARGIN.left + slot * i + slot / 2;
+        axis.appendChild(svgEl('text', { x, y: MARGIN.top + plotHeight + 16, 'text-anchor': 'middle' }, label));
+    });
+
+    svg.appendChild(grid);
+    svg.appendChild(axis);
+    return { plotWidth, slot };
+}
+
+function drawLegend(svg, series, y) {
+    const legend = svgEl('g', { class: 'legend' });
+    let x = MARGIN.left;
+    for (const s of series) {
+        legend.appendChild(svgEl('rect', { x, y: y - 9, width: 10, height: 10, fill: s.color }));
+        legend.appendChild(svgEl('text', { x: x + 14, y }, s.name));
+        x += 24 + s.name.length * 7;
+    }
+    svg.appendChild(legend);
+}
+
+function showEmpty(container) {
+    container.innerHTML = '<p class="no-data">No data in this range</p>';
+}
+
+// series: [{ name, color, values: number[] }], one value per label, stacked per label
+export function renderStackedBarChart(container, { labels, series, formatValue = String }) {
+    if (labels.length === 0 || series.length === 0) {
+        showEmpty(container);
+        return;
+    }
+
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const totals = labels.map((_, i) => series.reduce((sum, s) => sum + s.values[i], 0));
+    const maxValue = Math.max(...totals) || 1;
+
+    const svg = createSvg();
+    const { slot } = drawAxes(svg, labels, maxValue, formatValue, plotHeight);
+    const barWidth = Math.max(1, slot * 0.7);
+
+    labels.forEach((label, i) => {
+        let y = MARGIN.top + plotHeight;
+        for (const s of series) {
+            const value = s.values[i];
+            if (!value) continue;
+            const h = (value / maxValue) * plotHeight;
+            y -= h;
+            const rect = svgEl('rect', {
+                x: MARGIN.left + slot * i + (slot - barWidth) / 2,
+                y,
+                width: barWidth,
+                height: h,
+                fill: s.color
+            });
+            rect.appendChild(svgEl('title', {}, `${label} - ${s.name}: ${formatValue(value)}`));
+            svg.appendChild(rect);
+        }
+    });
+
+    drawLegend(svg, series, HEIGHT - 6);
+    container.innerHTML = '';
+    container.appendChild(svg);
+}
+
+// series: [{ name, color, values: number[] }], drawn as one line each
+export function renderLineChart(container, { labels, series, formatValue = String }) {
+    if (labels.length === 0 || series.length === 0) {
+        showEmpty(container);
+        return;
+    }
+
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const maxValue = Math.max(...series.flatMap(s => s.values)) || 1;
+
+    const svg = createSvg();
+    const { slot } = drawAxes(svg, labels, maxValue, formatValue, plotHeight);
+
+    for (const s of series) {
+        const points = s.values.map((value, i) => {
+            const x = MARGIN.left + slot * i + slot / 2;
+            const y = MARGIN.top + plotHeight - (value / maxValue) * plotHeight;
+            return [x, y, value, labels[i]];
+        });
+        svg.appendChild(svgEl('polyline', {
+            points: points.map(([x, y]) => `${x},${y}`).join(' '),
+            fill: 'none',
+            stroke: s.color,
+            'stroke-width': 2
+        }));
+        for (const [x, y, value, label] of points) {
+            const dot = svgEl('circle', { cx: x, cy: y, r: 3, fill: s.color });
+            dot.appendChild(svgEl('title', {}, `${label} - ${s.name}: ${formatValue(value)}`));
+            svg.appendChild(dot);
+        }
+    }
+
+    drawLegend(svg, series, HEIGHT - 6);
+    container.innerHTML = '';
+    container.appendChild(svg);
+}
+
+// values[row][column]; cells shade from pale to full colour relative to the largest value
+export function renderHeatmap(container, { rows, columns, values, formatValue = String, color = [46, 140, 173] }) {
+    const maxValue = Math.max(...values.flat());
+    if (!(maxValue > 0)) {
+        showEmpty(container);
+        return;
+    }
+
+    const left = 50;
+    const top = 10;
+    const cellWidth = (WIDTH - left - MARGIN.right) / columns.length;
+    const cellHeight = 26;
+    const height = top + rows.length * cellHeight + 25;
+
+    const svg = createSvg(height);
+    const axis = svgEl('g', { class: 'axis' });
+
+    rows.forEach((rowLabel, r) => {
+        const y = top + r * cellHeight;
+        axis.appendChild(svgEl('text', { x: left - 6, y: y + cellHeight / 2 + 4, 'text-anchor': 'end' }, rowLabel));
+
+        columns.forEach((columnLabel, c) => {
+            const value = values[r][c];
+            const alpha = value > 0 ? 0.1 + 0.9 * (value / maxValue) : 0.03;
+            const cell = svgEl('rect', {
+                x: left + c * cellWidth + 1,
+                y: y + 1,
+                width: cellWidth - 2,
+                height: cellHeight - 2,
+                rx: 2,
+                fill: `rgba(${color.join(', ')}, ${alpha.toFixed(3)})`
+            });
+            cell.appendChild(svgEl('title', {}, `${rowLabel} ${columnLabel}: ${formatValue(value)}`));
+            svg.appendChild(cell);
+        });
+    });
+
+    columns.forEach((columnLabel, c) => {
+        if (c % 2 !== 0) return;
+        axis.appendChild(svgEl('text', {
+            x: left + c * cellWidth + cellWidth / 2,
+            y: top + rows.length * cellHeight + 16,
+            'text-anchor': 'middle'
+        }, columnLabel));
+    });
+
+    svg.appendChild(axis);
+    container.innerHTML = '';
+    container.appendChild(svg);
+}
@@ -0,0 +1,10 @@
+// Helpers for the extension pages that build their markup from strings.
+
+// Escapes text for use in element content and double-quoted attributes
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -1,7 +1,7 @@
 // Open IndexedDB database
 export async function openDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open('OutsideControl', 2);
+        const request = indexedDB.open('OutsideControl', 6);
         request.onerror = () => reject(request.error);
         request.onsuccess = () => resolve(request.result);
         request.onupgradeneeded = (e) => {
@@ -22,6 +22,26 @@ export async function openDB() {
                     db.createObjectStore('usage');
                 }
             }
+
+            // Version 3: user configuration (policies)
+            if (oldVersion < 3 && !db.objectStoreNames.contains('config')) {
+                db.createObjectStore('config');
+            }
+
+            // Version 4: copies of the data taken before migrations rewrite it
+            if (oldVersion < 4 && !db.objectStoreNames.contains('snapshots')) {
+                db.createObjectStore('snapshots', { autoIncrement: true });
+            }
+
+            // Version 5: weekly/monthly rollups of usage days past the retention window
+            if (oldVersion < 5 && !db.objectStoreNames.contains('aggregates')) {
+                db.createObjectStore('aggregates');
+            }
+
+            // Version 6: one record per temporary unlock, keyed by its timestamp
+            if (oldVersion < 6 && !db.objectStoreNames.contains('unlocks')) {
+                db.createObjectStore('unlocks', { keyPath: 'at' });
+            }
         };
     });
 }
@@ -55,8 +75,9 @@ export async function saveStateToIDB(state) {
     // Store each piece of state separately for easier access
     await Promise.all([
         store.put(state.sessions, 'sessions'),
-        store.put(state.quotas, 'quotas'),
+        store.put(state.quotas || {}, 'quotas'),
         store.put(state.viewSessions || {}, 'viewSessions'),
+        store.put(state.focus || null, 'focus'),
         store.put(state.dataVersion, 'dataVersion'),
         store.put(state.lastSaved, 'lastSaved')
     ]);
@@ -80,23 +101,308 @@ export async function saveUsageToIDB(date, usageData) {
     });
 }
 
+// Remove every usage day, used when a backup replaces the existing history
+export async function clearUsageInIDB() {
+    const db = await openDB();
+    const tx = db.transaction(['usage'], 'readwrite');
+    tx.objectStore('usage').clear();
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Writes a throwaway value to its own key and reads it back, so checking that storage
+// works never touches real data. Resolves to true when the round trip succeeded.
+export async function probeStorage() {
+    const token = `${Date.now()}-${Math.random()}`;
+    const db = await openDB();
+
+    const writeTx = db.transaction(['config'], 'readwrite');
+    writeTx.objectStore('config').put(token, 'storageProbe');
+    await new Promise((resolve, reject) => {
+        writeTx.oncomplete = () => resolve();
+        writeTx.onerror = () => reject(writeTx.error);
+    });
+
+    const readTx = db.transaction(['config'], 'readonly');
+    return new Promise((resolve, reject) => {
+        const request = readTx.objectStore('config').get('storageProbe');
+        request.onsuccess = () => resolve(request.result === token);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export async function loadConfigValue(key, fallback = null) {
+    const db = await openDB();
+    const tx = db.transaction(['config'], 'readonly');
+
+    return new Promise((resolve, reject) => {
+        const request = tx.objectStore('config').get(key);
+        request.onsuccess = () => resolve(request.result ?? fallback);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export async function saveConfigValue(key, value) {
+    const db = await openDB();
+    const tx = db.transaction(['config'], 'readwrite');
+    tx.objectStore('config').put(value, key);
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Moves every usage day before `beforeDate` into the aggregates store in a single
+// transaction, so a failure leaves both stores untouched.
+// combine(aggregate | undefined, date, day) returns the updated aggregate;
+// keyFor(date) names the aggregate a day belongs to.
+export async function compactUsageInIDB(beforeDate, keyFor, combine) {
+    const db = await openDB();
+    const tx = db.transaction(['usage', 'aggregates'], 'readwrite');
+    const usageStore = tx.objectStore('usage');
+    const aggregateStore = tx.objectStore('aggregates');
+    const range = IDBKeyRange.upperBound(beforeDate, true);
+    const summary = { days: 0, periods: 0 };
+
+    usageStore.getAllKeys(range).onsuccess = (e) => {
+        const dates = e.target.result;
+        usageStore.getAll(range).onsuccess = (e2) => {
+            const days = e2.target.result;
+            const touched = new Map();
+
+            const finish = () => {
+                dates.forEach((date, i) => {
+                    const key = keyFor(date);
+                    touched.set(key, combine(touched.get(key), date, days[i]));
+                    usageStore.delete(date);
+                });
+                for (const [key, aggregate] of touched) {
+                    aggregateStore.put(aggregate, key);
+                }
+                summary.days = dates.length;
+                summary.periods = touched.size;
+            };
+
+            // Load the aggregates these days are added to before combining
+            const keys = [...new Set(dates.map(keyFor))];
+            let pending = keys.length;
+            if (pending === 0) return finish();
+            for (const key of keys) {
+                aggregateStore.get(key).onsuccess = (e3) => {
+                    if (e3.target.result) touched.set(key, e3.target.result);
+                    if (--pending === 0) finish();
+                };
+            }
+        };
+    };
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve(summary);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+export async function getAllAggregatesFromIDB() {
+    const db = await openDB();
+    const tx = db.transaction(['aggregates'], 'readonly');
+
+    return new Promise((resolve, reject) => {
+        const request = tx.objectStore('aggregates').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// aggregates: { [key]: aggregate }. With replace, existing aggregates are removed first;
+// otherwise only keys not already stored are added.
+export async function restoreAggregatesToIDB(aggregates, replace) {
+    const db = await openDB();
+    const tx = db.transaction(['aggregates'], 'readwrite');
+    const store = tx.objectStore('aggregates');
+
+    if (replace) {
+        store.clear();
+    }
+    for (const [key, aggregate] of Object.entries(aggregates)) {
+        if (replace) {
+            store.put(aggregate, key);
+        } else {
+            store.add(aggregate, key).onerror = (e) => {
+                // Already present: keep the stored one
+                e.preventDefault();
+                e.stopPropagation();
+            };
+        }
+    }
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// entry: { at, date, host, group, type, durationMs, reason }
+export async function addUnlockToIDB(entry) {
+    const db = await openDB();
+    const tx = db.transaction(['unlocks'], 'readwrite');
+    tx.objectStore('unlocks').put(entry);
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Oldest first
+export async function getAllUnlocksFromIDB() {
+    const db = await openDB();
+    const tx = db.transaction(['unlocks'], 'readonly');
+
+    return new Promise((resolve, reject) => {
+        const request = tx.objectStore('unlocks').getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// With replace the log is emptied first; otherwise unlocks already logged are kept
+export async function restoreUnlocksToIDB(unlocks, replace) {
+    const db = await openDB();
+    const tx = db.transaction(['unlocks'], 'readwrite');
+    const store = tx.objectStore('unlocks');
+
+    if (replace) {
+        store.clear();
+    }
+    for (const entry of unlocks) {
+        store.add(entry).onerror = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+        };
+    }
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Counts and date ranges for the storage panel
+export async function getStorageRecordsFromIDB() {
+    const db = await openDB();
+    const tx = db.transaction(['usage', 'aggregates'], 'readonly');
+
+    const keys = (storeName) => new Promise((resolve, reject) => {
+        const request = tx.objectStore(storeName).getAllKeys();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const [dates, aggregateKeys] = await Promise.all([keys('usage'), keys('aggregates')]);
+    const starts = aggregateKeys.map(key => key.split(':')[1]).sort();
+    return {
+        usageDays: dates.length,
+        firstDay: dates[0] || null,
+        lastDay: dates[dates.length - 1] || null,
+        aggregates: aggregateKeys.length,
+        firstAggregate: starts[0] || null
+    };
+}
+
+// Save blocking policies edited on the options page
+export async function savePoliciesToIDB(policies) {
+    const db = await openDB();
+    const tx = db.transaction(['config'], 'readwrite');
+    const store = tx.objectStore('config');
+    await store.put(policies, 'policies');
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Load blocking policies, or null if the user has never saved any
+export async function loadPoliciesFromIDB() {
+    const db = await openDB();
+    const tx = db.transaction(['config'], 'readonly');
+    const store = tx.objectStore('config');
+
+    return new Promise((resolve, reject) => {
+        const request = store.get('policies');
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Stores a snapshot and drops all but the newest `keep`; resolves to the new snapshot's key
+export async function saveSnapshotToIDB(snapshot, keep = 3) {
+    const db = await openDB();
+    const tx = db.transaction(['snapshots'], 'readwrite');
+    const store = tx.objectStore('snapshots');
+
+    let key;
+    store.add(snapshot).onsuccess = (e) => { key = e.target.result; };
+    store.getAllKeys().onsuccess = (e) => {
+        const keys = e.target.result;
+        for (const old of keys.slice(0, Math.max(0, keys.length - keep))) {
+            store.delete(old);
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve(key);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+export async function loadMigrationLog() {
+    const db = await openDB();
+    const tx = db.transaction(['config'], 'readonly');
+    const store = tx.objectStore('config');
+
+    return new Promise((resolve, reject) => {
+        const request = store.get('migrationLog');
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export async function appendMigrationLog(entry) {
+    const log = await loadMigrationLog();
+    const db = await openDB();
+    const tx = db.transaction(['config'], 'readwrite');
+    tx.objectStore('config').put([...log, entry], 'migrationLog');
+
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
 export async function loadStateFromIDB() {
     const db = await openDB();
     const tx = db.transaction(['state'], 'readonly');
     const store = tx.objectStore('state');
 
-    const [sessions, quotas, viewSessions, dataVersion, lastSaved] = await Promise.all([
+    const [sessions, quotas, viewSessions, focus, dataVersion, lastSaved] = await Promise.all([
         new Promise(resolve => { const req = store.get('sessions'); req.onsuccess = () => resolve(req.result); }),
         new Promise(resolve => { const req = store.get('quotas'); req.onsuccess = () => resolve(req.result); }),
         new Promise(resolve => { const req = store.get('viewSessions'); req.onsuccess = () => resolve(req.result); }),
+        new Promise(resolve => { const req = store.get('focus'); req.onsuccess = () => resolve(req.result); }),
         new Promise(resolve => { const req = store.get('dataVersion'); req.onsuccess = () => resolve(req.result); }),
         new Promise(resolve => { const req = store.get('lastSaved'); req.onsuccess = () => resolve(req.result); })
     ]);
 
     return {
         sessions: sessions || {},
-        quotas: quotas || { hn: [] },
+        quotas: quotas || {},
         viewSessions: viewSessions || {},
+        focus: focus || null,
         dataVersion: dataVersion || '4.0.0',
         lastSaved: lastSaved || Date.now()
     };
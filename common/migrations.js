@@ -0,0 +1,123 @@
+// Versioned data migrations.
+//
+// Each step rewrites the stored state and every usage day from the shape of the
+// previous version to its own. They run once, in order, at startup; a snapshot of
+// the old data is taken first and every run is appended to the migration log.
+// Code outside this file can assume the shape of CURRENT_DATA_VERSION.
+
+import { loadStateFromIDB, saveStateToIDB, getAllUsageForExport, saveUsageToIDB, saveSnapshotToIDB, appendMigrationLog } from './idb.js';
+
+export const CURRENT_DATA_VERSION = '5.0.0';
+
+export function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+// Canonical per-host entry: { time, views, tempAccessCount, lunchCount, firstAccess, lastAccess }
+// plus the optional groups and hours maps, which are filled in as time is recorded
+function canonicalUsageEntry(data) {
+    if (typeof data === 'number') {
+        return { time: data, views: 0, tempAccessCount: 0, lunchCount: 0, firstAccess: null, lastAccess: null };
+    }
+    return {
+        ...data,
+        time: data.time || 0,
+        views: data.views || 0,
+        tempAccessCount: data.tempAccessCount || 0,
+        lunchCount: data.lunchCount || 0,
+        firstAccess: data.firstAccess || null,
+        lastAccess: data.lastAccess || null
+    };
+}
+
+const MIGRATIONS = [
+    {
+        version: '5.0.0',
+        description: 'Store every usage entry as an object with all counters present',
+        state: state => ({
+            ...state,
+            sessions: state.sessions || {},
+            viewSessions: state.viewSessions || {}
+        }),
+        usageDay: day => {
+            const migrated = {};
+            for (const [host, data] of Object.entries(day || {})) {
+                if (host === '__lunch__') {
+                    migrated[host] = { ...data, lunchCount: data?.lunchCount || 0 };
+                } else if (data !== null && data !== undefined) {
+                    migrated[host] = canonicalUsageEntry(data);
+                }
+            }
+            return migrated;
+        }
+    }
+];
+
+// Data written before versions were recorded has the 4.0.0 shape
+function pendingMigrations(fromVersion) {
+    return MIGRATIONS.filter(step => compareVersions(step.version, fromVersion || '4.0.0') > 0);
+}
+
+export function migrateState(state) {
+    let migrated = { ...state };
+    for (const step of pendingMigrations(state.dataVersion)) {
+        migrated = step.state(migrated);
+    }
+    migrated.dataVersion = CURRENT_DATA_VERSION;
+    return migrated;
+}
+
+// fromVersion is the dataVersion of the state the day was stored alongside
+export function migrateUsageDay(day, fromVersion) {
+    let migrated = day;
+    for (const step of pendingMigrations(fromVersion)) {
+        migrated = step.usageDay(migrated);
+    }
+    return migrated;
+}
+
+// Brings the stored data up to CURRENT_DATA_VERSION. Returns the log entry, or null
+// when there was nothing to do.
+export async function runMigrations() {
+    const state = await loadStateFromIDB();
+    const fromVersion = state.dataVersion;
+    const steps = pendingMigrations(fromVersion);
+    if (steps.length === 0) {
+        return null;
+    }
+
+    const days = await getAllUsageForExport();
+    const snapshotId = await saveSnapshotToIDB({
+        createdAt: Date.now(),
+        reason: `migration from ${fromVersion}`,
+        state,
+        usage: days
+    });
+
+    console.log(`[Migrate] Migrating ${days.length} usage days from ${fromVersion} to ${CURRENT_DATA_VERSION}`);
+
+    for (const { date, data } of days) {
+        await saveUsageToIDB(date, migrateUsageDay(data, fromVersion));
+    }
+    // The state carries the version, so it is written last: an interrupted run starts over
+    await saveStateToIDB(migrateState(state));
+
+    const entry = {
+        at: Date.now(),
+        from: fromVersion,
+        to: CURRENT_DATA_VERSION,
+        steps: steps.map(step => `${step.version}: ${step.description}`),
+        days: days.length,
+        snapshotId
+    };
+    await appendMigrationLog(entry);
+
+    console.log('[Migrate] Done:', entry);
+    return entry;
+}
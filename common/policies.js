@@ -0,0 +1,511 @@
+import { RULE_MODES, VISIT_RESETS, DAY_NAMES, findActiveRule, isRuleLooser, areGraceLimitsLooser, formatHour } from './rules.js';
+import { CHALLENGES, DEFAULT_CHALLENGE } from './challenges.js';
+
+export const SEC = 1000;
+export const MIN = 60 * SEC;
+export const HOUR = 60 * MIN;
+
+// Pseudo-group for allowlist mode. Its hosts are the only sites that can be opened while
+// one of its rules applies; every other site is treated as a member of this group, with
+// its rules, grace limits and challenge. Other groups still govern their own hosts.
+export const ALLOWLIST_GROUP = '__allowlist__';
+
+// How a group is named to the user
+export function groupLabel(name) {
+    return name === ALLOWLIST_GROUP ? 'Allowlist mode' : name;
+}
+
+// Used until the user saves their own policies from the options page.
+// See common/rules.js for the rule format.
+export const DEFAULT_POLICIES = {
+    social: {
+        hosts: ['reddit.com', 'twitter.com', 'x.com'],
+        rules: [
+            { mode: 'block', graceDurationMs: 5 * MIN }
+        ]
+    },
+    streaming: {
+        hosts: ['youtube.com', 'disneyplus.com', 'paramountplus.com', 'max.com', 'hbomax.com', 'netflix.com'],
+        rules: [
+            { label: 'evening hours', start: 21, end: 2, mode: 'block', graceDurationMs: 30 * MIN },
+            {
+                label: 'work hours',
+                days: [1, 2, 3, 4, 5],
+                start: 9,
+                end: 17,
+                mode: 'allowance',
+                allowanceMs: HOUR,
+                graceDurationMs: 5 * MIN,
+                lunch: { start: 11, end: 15, durationMs: 45 * MIN, maxSessions: 3 }
+            }
+        ]
+    },
+    hackerNews: {
+        hosts: ['news.ycombinator.com'],
+        rules: [
+            { label: 'evening hours', start: 21, end: 2, mode: 'block', graceDurationMs: 5 * MIN },
+            { label: 'work hours', days: [1, 2, 3, 4, 5], start: 9, end: 17, mode: 'block', graceDurationMs: 5 * MIN }
+        ]
+    }
+};
+
+// Converts a group saved before rules existed (blockAlways / workHours / lunchWindow fields)
+export function upgradeLegacyPolicy(config) {
+    if (Array.isArray(config.rules)) return config;
+
+    const rules = [];
+    if (config.blockAlways) {
+        rules.push({ mode: 'block', graceDurationMs: config.graceDurationMs || 0 });
+    } else if (config.workHours) {
+        rules.push({
+            label: 'evening hours',
+            start: 21,
+            end: 2,
+            mode: 'block',
+            graceDurationMs: config.eveningGraceDurationMs || config.graceDurationMs || 0
+        });
+
+        const workRule = {
+            label: 'work hours',
+            days: config.workDays || [1, 2, 3, 4, 5],
+            start: config.workHours.start,
+            end: config.workHours.end,
+            mode: config.dailyAllowanceMs ? 'allowance' : 'block',
+            graceDurationMs: config.graceDurationMs || 0
+        };
+        if (config.dailyAllowanceMs) {
+            workRule.allowanceMs = config.dailyAllowanceMs;
+        }
+        if (config.lunchWindow) {
+            workRule.lunch = {
+                start: config.lunchWindow.start,
+                end: config.lunchWindow.end,
+                durationMs: config.lunchDurationMs || 0,
+                maxSessions: config.maxLunchSessions || 0
+            };
+        }
+        rules.push(workRule);
+    }
+
+    return { hosts: config.hosts, rules };
+}
+
+// Host entries and exceptions are patterns:
+//   reddit.com               the host and all of its subdomains
+//   reddit.com/r/all         that path and everything below it: /r/all/, /r/all/top, /r/all?sort=new
+//   youtube.com/watch?v=abc  that page, also with more query parameters after it
+//   youtube.com/shorts/*     a glob matched against path + query, * matches anything
+//   re:^https://x\.com/home  a regular expression tested against the full URL
+export function parsePattern(pattern) {
+    if (pattern.startsWith('re:')) {
+        return { pattern, regex: new RegExp(pattern.slice(3), 'i') };
+    }
+
+    const slash = pattern.indexOf('/');
+    if (slash === -1) {
+        return { pattern, host: pattern, path: null };
+    }
+
+    let path = pattern.slice(slash);
+    // Without a closing * the path is a prefix of whole segments, and a query may follow;
+    // with a query of its own, further parameters may
+    let rest = '';
+    if (!path.endsWith('*')) {
+        path = path.replace(/\/+$/, '');
+        rest = path.includes('?') ? '(?:&.*)?' : '(?:[/?].*)?';
+    }
+    const glob = path.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+    return { pattern, host: pattern.slice(0, slash), path: new RegExp(`^${glob}${rest}$`, 'i') };
+}
+
+// Accepts a full URL or a bare hostname (treated as the site root)
+export function parseLocation(target) {
+    if (!target) return null;
+
+    if (!target.includes('://')) {
+        return { hostname: target, path: '/', href: `https://${target}/` };
+    }
+
+    try {
+        const u = new URL(target);
+        return { hostname: u.hostname, path: u.pathname + u.search, href: u.href };
+    } catch {
+        return null;
+    }
+}
+
+function hostMatches(host, hostname) {
+    return hostname === host || hostname.endsWith('.' + host);
+}
+
+export function matchesPattern(parsed, location) {
+    if (parsed.regex) {
+        return parsed.regex.test(location.href);
+    }
+    return hostMatches(parsed.host, location.hostname) && (!parsed.path || parsed.path.test(location.path));
+}
+
+// Regular expression source matching full http(s) URLs for a host or host/path pattern.
+// Used for declarativeNetRequest rules, which cannot run the glob matcher above.
+export function patternToUrlRegex(parsed) {
+    const host = parsed.host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const path = parsed.path ? parsed.path.source.replace(/^\^/, '').replace(/\$$/, '') : '(/.*)?';
+    return `https?://([^/]*\\.)?${host}(:\\d+)?${path}`;
+}
+
+// declarativeNetRequest cannot run a `re:` exception, so a group with one is left to the
+// content script: redirecting its hosts at the network layer would also catch the pages
+// the exception lets through, and the blocked page would send them straight back.
+export function hasRegexExceptions(config) {
+    return (config.exceptions || []).some(pattern => pattern.startsWith('re:'));
+}
+
+function addToDomainMap(map, group, config) {
+    const exceptions = (config.exceptions || []).map(parsePattern);
+    for (const pattern of config.hosts) {
+        const parsed = parsePattern(pattern);
+        const entry = { group, config, parsed, exceptions };
+        if (parsed.regex) {
+            map.regexes.push(entry);
+        } else {
+            if (!map.hosts.has(parsed.host)) map.hosts.set(parsed.host, []);
+            map.hosts.get(parsed.host).push(entry);
+        }
+    }
+}
+
+// The allowlist's hosts go into a map of their own under `allowlist`, see lookupAllowlist()
+export function buildDomainMap(policies) {
+    const map = { hosts: new Map(), regexes: [], allowlist: null };
+    for (const [group, config] of Object.entries(policies)) {
+        if (group === ALLOWLIST_GROUP) {
+            map.allowlist = { hosts: new Map(), regexes: [], config };
+            addToDomainMap(map.allowlist, group, config);
+        } else {
+            addToDomainMap(map, group, config);
+        }
+    }
+
+    // Path patterns are more specific than a bare host, so try them first
+    for (const hosts of [map.hosts, map.allowlist?.hosts]) {
+        for (const entries of hosts?.values() || []) {
+            entries.sort((a, b) => (b.parsed.path ? 1 : 0) - (a.parsed.path ? 1 : 0));
+        }
+    }
+    return map;
+}
+
+function* candidateEntries(location, domainMap) {
+    yield* domainMap.regexes;
+
+    const parts = location.hostname.split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+        const entries = domainMap.hosts.get(parts.slice(i).join('.'));
+        if (entries) yield* entries;
+    }
+}
+
+// Finds the group governing a URL (or bare hostname). More specific host suffixes win,
+// and a group's exceptions hand the URL on to the next matching group, if any.
+export function lookupGroup(target, domainMap) {
+    const location = parseLocation(target);
+    if (!location) return null;
+
+    for (const entry of candidateEntries(location, domainMap)) {
+        if (!matchesPattern(entry.parsed, location)) continue;
+        if (entry.exceptions.some(exception => matchesPattern(exception, location))) continue;
+        return { group: entry.group, config: entry.config };
+    }
+
+    return null;
+}
+
+// The allowlist pseudo-group for a web page its hosts do not cover, matched the same way
+// as group hosts. Null when the page is allowlisted or there is no allowlist.
+export function lookupAllowlist(target, domainMap) {
+    const location = parseLocation(target);
+    if (!domainMap.allowlist || !location || !/^https?:/.test(location.href)) return null;
+    if (lookupGroup(target, domainMap.allowlist)) return null;
+    return { group: ALLOWLIST_GROUP, config: domainMap.allowlist.config };
+}
+
+// Splits a change to a group into the part that applies at once and the part that has
+// to wait. `immediate` is `next` with everything that restricts less than `prev` kept as
+// it was in `prev`, or null for a group that does not exist yet; `reasons` lists what was
+// held back and is empty when the change only tightens or leaves the group alone. A
+// missing config means the group does not exist.
+// Rule windows start and end on whole hours, so comparing the rule in force at every
+// hour of one week covers every case. The allowlist works the other way round for
+// hosts and exceptions: adding a host or dropping an exception loosens it.
+export function splitLoosening(group, prev, next) {
+    const name = groupLabel(group);
+    const allowlist = group === ALLOWLIST_GROUP;
+    if (!prev) return { immediate: next || null, reasons: [] };
+    if (!next) return { immediate: prev, reasons: [`${name}: ${allowlist ? 'turned off' : 'group removed'}`] };
+
+    const immediate = { ...next };
+    const reasons = [];
+    const prevExceptions = prev.exceptions || [];
+    const nextExceptions = next.exceptions || [];
+    if (allowlist) {
+        const added = next.hosts.filter(host => !prev.hosts.includes(host));
+        const removed = prevExceptions.filter(exception => !nextExceptions.includes(exception));
+        added.forEach(host => reasons.push(`${name}: ${host} added`));
+        removed.forEach(exception => reasons.push(`${name}: exception ${exception} removed`));
+        // Replacing every host keeps the old ones until the new ones may be added
+        const kept = next.hosts.filter(host => !added.includes(host));
+        immediate.hosts = kept.length > 0 ? kept : prev.hosts;
+        immediate.exceptions = [...nextExceptions, ...removed];
+    } else {
+        const removed = prev.hosts.filter(host => !next.hosts.includes(host));
+        const added = nextExceptions.filter(exception => !prevExceptions.includes(exception));
+        removed.forEach(host => reasons.push(`${name}: ${host} removed`));
+        added.forEach(exception => reasons.push(`${name}: exception ${exception} added`));
+        immediate.hosts = [...prev.hosts, ...next.hosts.filter(host => !prev.hosts.includes(host))];
+        immediate.exceptions = nextExceptions.filter(exception => !added.includes(exception));
+    }
+    if (immediate.exceptions.length === 0 && prev.exceptions === undefined) {
+        delete immediate.exceptions;
+    }
+
+    if (areGraceLimitsLooser(next.graceLimits, prev.graceLimits)) {
+        reasons.push(`${name}: grace unlock limits relaxed`);
+        keepField(immediate, prev, 'graceLimits');
+    }
+    // Challenge types are not ranked, so any switch may make unlocking easier
+    const prevChallenge = prev.challenge || DEFAULT_CHALLENGE;
+    const nextChallenge = next.challenge || DEFAULT_CHALLENGE;
+    if (nextChallenge !== prevChallenge) {
+        reasons.push(`${name}: unlock challenge changed from ${CHALLENGES[prevChallenge]?.label.toLowerCase() || prevChallenge} to ${CHALLENGES[nextChallenge]?.label.toLowerCase() || nextChallenge}`);
+        keepField(immediate, prev, 'challenge');
+    }
+
+    rules: for (let day = 0; day < 7; day++) {
+        for (let hour = 0; hour < 24; hour++) {
+            // 7 January 2024 was a Sunday
+            const date = new Date(2024, 0, 7 + day, hour);
+            if (isRuleLooser(findActiveRule(next, date), findActiveRule(prev, date))) {
+                reasons.push(`${name}: rules less strict, for example on ${DAY_NAMES[day]} at ${formatHour(hour)}`);
+                immediate.rules = prev.rules;
+                break rules;
+            }
+        }
+    }
+
+    return { immediate, reasons };
+}
+
+function keepField(config, prev, key) {
+    if (prev[key] === undefined) {
+        delete config[key];
+    } else {
+        config[key] = prev[key];
+    }
+}
+
+// Carries a queued change to a group over onto its current config. `base` is the group
+// as it was when the change was queued and `target` what the change makes of it: fields
+// the change touched take its values, and hosts and exceptions only gain and lose the
+// entries it added and removed, so whatever was saved to the group since is kept.
+export function mergeGroupChange(current, base, target) {
+    if (!target) return null;
+    if (!current || !base) return target;
+
+    const merged = { ...current };
+    for (const key of new Set([...Object.keys(base), ...Object.keys(target)])) {
+        if (key === 'hosts' || key === 'exceptions') {
+            const before = base[key] || [];
+            const after = target[key] || [];
+            const kept = (current[key] || []).filter(pattern => after.includes(pattern) || !before.includes(pattern));
+            merged[key] = [...kept, ...after.filter(pattern => !before.includes(pattern) && !kept.includes(pattern))];
+        } else if (JSON.stringify(base[key]) !== JSON.stringify(target[key])) {
+            if (target[key] === undefined) {
+                delete merged[key];
+            } else {
+                merged[key] = target[key];
+            }
+        }
+    }
+    return merged;
+}
+
+// Lowercases the host part and drops schemes, ports and fragments so pasted URLs still work
+export function normalizePattern(value) {
+    const trimmed = String(value).trim();
+    if (trimmed.startsWith('re:')) return trimmed;
+
+    const pattern = trimmed.replace(/^[a-z]+:\/\//i, '').replace(/#.*$/, '');
+    const split = pattern.search(/[/?]/);
+    const host = (split === -1 ? pattern : pattern.slice(0, split)).toLowerCase().replace(/:\d+$/, '');
+    let path = split === -1 ? '' : pattern.slice(split);
+    if (path.startsWith('?')) path = '/' + path;
+    if (path === '/' || path === '/*') path = '';
+    return host + path;
+}
+
+function validatePattern(prefix, pattern, errors) {
+    if (typeof pattern !== 'string') {
+        errors.push(`${prefix}: patterns must be strings`);
+        return false;
+    }
+
+    if (pattern.startsWith('re:')) {
+        try {
+            new RegExp(pattern.slice(3));
+        } catch (e) {
+            errors.push(`${prefix}: "${pattern}" is not a valid regular expression (${e.message})`);
+            return false;
+        }
+        return true;
+    }
+
+    const host = pattern.split('/')[0];
+    if (!/^[a-z0-9.-]+$/.test(host) || !host.includes('.')) {
+        errors.push(`${prefix}: "${pattern}" does not start with a valid host`);
+        return false;
+    }
+    return true;
+}
+
+function isValidHour(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 24;
+}
+
+function validateHours(prefix, window, errors) {
+    if (window.start === undefined && window.end === undefined) return;
+    if (!isValidHour(window.start) || !isValidHour(window.end) || window.start === window.end) {
+        errors.push(`${prefix}: start and end must be different hours between 0 and 24`);
+    }
+}
+
+function validateDuration(prefix, field, value, errors) {
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`${prefix}: ${field} must be a non-negative number`);
+    }
+}
+
+function validateGraceLimits(prefix, limits, errors) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        errors.push(`${prefix}: graceLimits must be an object`);
+        return;
+    }
+    for (const key of ['maxPerDay', 'maxPerWeek']) {
+        if (limits[key] !== undefined && (!Number.isInteger(limits[key]) || limits[key] < 0)) {
+            errors.push(`${prefix}: ${key} must be a non-negative whole number`);
+        }
+    }
+    validateDuration(prefix, 'maxDailyMs', limits.maxDailyMs, errors);
+    validateDuration(prefix, 'minGapMs', limits.minGapMs, errors);
+}
+
+function validateRule(prefix, rule, errors) {
+    if (!rule || typeof rule !== 'object') {
+        errors.push(`${prefix}: rule is missing`);
+        return;
+    }
+    if (!RULE_MODES.includes(rule.mode)) {
+        errors.push(`${prefix}: mode must be one of ${RULE_MODES.join(', ')}`);
+    }
+    if (rule.days !== undefined && (!Array.isArray(rule.days) || rule.days.length === 0 || rule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+        errors.push(`${prefix}: days must be a non-empty list of days 0-6`);
+    }
+    validateHours(prefix, rule, errors);
+    validateDuration(prefix, 'graceDurationMs', rule.graceDurationMs, errors);
+    if (rule.mode === 'allowance' && !(rule.allowanceMs > 0)) {
+        errors.push(`${prefix}: an allowance rule needs a positive allowance`);
+    }
+    if (rule.mode === 'budget' && !(rule.budgetMs > 0)) {
+        errors.push(`${prefix}: a budget rule needs a positive budget`);
+    }
+    if (rule.mode === 'visits') {
+        if (!Number.isInteger(rule.maxVisits) || rule.maxVisits < 0) {
+            errors.push(`${prefix}: a visits rule needs a whole number of visits`);
+        }
+        if (!(rule.visitDurationMs > 0)) {
+            errors.push(`${prefix}: a visits rule needs a positive visit length`);
+        }
+        if (rule.visitReset !== undefined && !VISIT_RESETS.includes(rule.visitReset)) {
+            errors.push(`${prefix}: visitReset must be one of ${VISIT_RESETS.join(', ')}`);
+        }
+    }
+    if (rule.lunch !== undefined) {
+        validateHours(`${prefix} lunch`, rule.lunch, errors);
+        validateDuration(`${prefix} lunch`, 'durationMs', rule.lunch.durationMs, errors);
+        if (!Number.isInteger(rule.lunch.maxSessions) || rule.lunch.maxSessions < 0) {
+            errors.push(`${prefix} lunch: maxSessions must be a non-negative whole number`);
+        }
+        if (rule.lunch.maxPerWeek !== undefined && (!Number.isInteger(rule.lunch.maxPerWeek) || rule.lunch.maxPerWeek < 0)) {
+            errors.push(`${prefix} lunch: maxPerWeek must be a non-negative whole number`);
+        }
+    }
+}
+
+// Returns a list of human-readable problems, empty when the policies are usable
+export function validatePolicies(policies) {
+    const errors = [];
+
+    if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+        return ['Policies must be an object keyed by group name'];
+    }
+
+    const seenHosts = new Map();
+    for (const [group, config] of Object.entries(policies)) {
+        const name = groupLabel(group);
+        const allowlist = group === ALLOWLIST_GROUP;
+        if (!group.trim()) {
+            errors.push('Group names cannot be empty');
+        }
+        if (group.startsWith('__') && !allowlist) {
+            errors.push(`${name}: group names cannot start with "__"`);
+        }
+        if (!config || typeof config !== 'object') {
+            errors.push(`${name}: configuration is missing`);
+            continue;
+        }
+        if (!Array.isArray(config.hosts) || config.hosts.length === 0) {
+            errors.push(`${name}: at least one host is required`);
+        } else {
+            for (const pattern of config.hosts) {
+                if (!validatePattern(name, pattern, errors)) continue;
+                if (allowlist) {
+                    // Network rules keep allowed sites open by host, which a full-URL expression has not got
+                    if (pattern.startsWith('re:')) errors.push(`${name}: "${pattern}" cannot be a regular expression`);
+                    continue;
+                }
+                if (seenHosts.has(pattern)) {
+                    errors.push(`${name}: "${pattern}" is already in ${seenHosts.get(pattern)}`);
+                } else {
+                    seenHosts.set(pattern, name);
+                }
+            }
+        }
+
+        if (config.exceptions !== undefined) {
+            if (!Array.isArray(config.exceptions)) {
+                errors.push(`${name}: exceptions must be a list`);
+            } else {
+                config.exceptions.forEach(pattern => validatePattern(`${name} exception`, pattern, errors));
+            }
+        }
+
+        if (config.graceLimits !== undefined) {
+            validateGraceLimits(`${name} grace limits`, config.graceLimits, errors);
+        }
+
+        if (config.challenge !== undefined && !CHALLENGES[config.challenge]) {
+            errors.push(`${name}: challenge must be one of ${Object.keys(CHALLENGES).join(', ')}`);
+        }
+
+        if (!Array.isArray(config.rules)) {
+            errors.push(`${name}: rules must be a list`);
+            continue;
+        }
+        config.rules.forEach((rule, i) => validateRule(`${name} rule ${i + 1}`, rule, errors));
+        if (allowlist && config.rules.some(rule => rule?.mode !== 'block')) {
+            errors.push(`${name}: rules can only block`);
+        }
+    }
+
+    return errors;
+}
@@ -0,0 +1,92 @@
+// Usage retention: days older than the detail window are rolled up into one
+// aggregate record per week or month in the `aggregates` store.
+//
+// An aggregate looks like:
+//   {
+//       period: 'month',                 // or 'week'
+//       start: '2024-01-01',             // first day of the period
+//       dates: ['2024-01-02', ...],      // days rolled into it
+//       data: { [host]: { time, views, tempAccessCount, lunchCount, days, groups, hours } }
+//   }
+
+import { getDateKey, getWeekStartKey, getMonthKey, parseDateKey } from './time.js';
+
+export const ROLLUP_PERIODS = ['week', 'month'];
+
+export function periodStart(date, rollup) {
+    return rollup === 'week' ? getWeekStartKey(date) : `${getMonthKey(date)}-01`;
+}
+
+export function aggregateKey(date, rollup) {
+    return `${rollup}:${periodStart(date, rollup)}`;
+}
+
+// First date key kept in full detail
+export function retentionCutoff(detailDays, now = new Date()) {
+    const cutoff = parseDateKey(getDateKey(now));
+    cutoff.setDate(cutoff.getDate() - (detailDays - 1));
+    return getDateKey(cutoff);
+}
+
+function addMaps(target = {}, source = {}) {
+    for (const [key, value] of Object.entries(source)) {
+        target[key] = (target[key] || 0) + value;
+    }
+    return target;
+}
+
+// Adds one usage day to an aggregate (creating it when missing). Domains with less
+// than minMs on that day are left out.
+export function addDayToAggregate(aggregate, date, rollup, day, minMs = 0) {
+    const result = aggregate || { period: rollup, start: periodStart(date, rollup), dates: [], data: {} };
+    if (result.dates.includes(date)) {
+        return result;
+    }
+    result.dates.push(date);
+    result.dates.sort();
+
+    for (const [host, entry] of Object.entries(day)) {
+        if (host === '__lunch__') {
+            const lunch = result.data[host] || (result.data[host] = { lunchCount: 0, groups: {} });
+            lunch.lunchCount += entry.lunchCount || 0;
+            addMaps(lunch.groups, entry.groups);
+            continue;
+        }
+        if (host === '__grace__') {
+            const grace = result.data[host] || (result.data[host] = { groups: {} });
+            for (const [group, tally] of Object.entries(entry.groups || {})) {
+                const total = grace.groups[group] || (grace.groups[group] = { count: 0, ms: 0, lastAt: null });
+                total.count += tally.count;
+                total.ms += tally.ms;
+                total.lastAt = Math.max(total.lastAt || 0, tally.lastAt || 0) || null;
+            }
+            continue;
+        }
+        if (entry.time < minMs) continue;
+
+        const total = result.data[host] || (result.data[host] = { time: 0, views: 0, tempAccessCount: 0, lunchCount: 0, days: 0 });
+        total.time += entry.time;
+        total.views += entry.views;
+        total.tempAccessCount += entry.tempAccessCount;
+        total.lunchCount += entry.lunchCount;
+        total.days++;
+        if (entry.groups) total.groups = addMaps(total.groups, entry.groups);
+        if (entry.hours) total.hours = addMaps(total.hours, entry.hours);
+    }
+
+    return result;
+}
+
+export function validateRetention(retention) {
+    const errors = [];
+    if (!Number.isInteger(retention.detailDays) || retention.detailDays < 7) {
+        errors.push('Days kept in full detail must be a whole number of at least 7');
+    }
+    if (!ROLLUP_PERIODS.includes(retention.rollup)) {
+        errors.push(`Older days must be rolled up by ${ROLLUP_PERIODS.join(' or ')}`);
+    }
+    if (typeof retention.minMinutes !== 'number' || !(retention.minMinutes >= 0)) {
+        errors.push('The minimum time for keeping a domain must be zero or more minutes');
+    }
+    return errors;
+}
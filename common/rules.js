@@ -0,0 +1,411 @@
+// Declarative blocking rules.
+//
+// Each group has an ordered list of rules. The first rule whose time window
+// matches the current time decides what happens; if none match the group is
+// not restricted. A rule looks like:
+//
+//   {
+//       label: 'work hours',          // optional, used in messages
+//       days: [1, 2, 3, 4, 5],        // optional, 0 = Sunday; every day if omitted
+//       start: 9, end: 17,            // optional hours; all day if omitted, wraps midnight if end <= start
+//       mode: 'block' | 'allowance' | 'budget' | 'visits',
+//       allowanceMs: 3600000,         // allowance: time allowed from the first visit of the day
+//       budgetMs: 2700000,            // budget: foreground time allowed per day, summed over the group's hosts
+//       maxVisits: 5,                 // visits: visits allowed, each starting with a new view of the sites
+//       visitDurationMs: 600000,      // visits: length of each visit
+//       visitReset: 'day' | 'rolling',  // visits: count per calendar day, or each visit for 24 hours
+//       graceDurationMs: 300000,      // grace unlock length once blocked, 0 for none
+//       lunch: { start: 11, end: 15, durationMs: 2700000, maxSessions: 3 }  // optional bonus sessions
+//   }
+//
+// maxSessions caps lunch sessions per day; an optional lunch.maxPerWeek caps them per
+// week, Monday to Sunday, counted for the group across its rules.
+//
+// Grace unlocks can also be capped for the whole group, whichever rule applies:
+//
+//   graceLimits: {
+//       maxPerDay: 3,                 // grace sessions per day
+//       maxPerWeek: 10,               // grace sessions per week, Monday to Sunday
+//       maxDailyMs: 900000,           // grace time per day; the last session is shortened to fit
+//       minGapMs: 3600000             // time between the starts of two grace sessions
+//   }
+
+export const RULE_MODES = ['block', 'allowance', 'budget', 'visits'];
+export const VISIT_RESETS = ['day', 'rolling'];
+
+const ROLLING_VISIT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+export const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function hasHours(rule) {
+    return rule.start !== undefined && rule.end !== undefined;
+}
+
+function inHourRange(hour, start, end) {
+    if (start < end) {
+        return hour >= start && hour < end;
+    }
+    return hour >= start || hour < end;
+}
+
+export function isRuleActive(rule, date) {
+    const hour = date.getHours();
+    const day = date.getDay();
+
+    if (!hasHours(rule)) {
+        return !rule.days || rule.days.includes(day);
+    }
+
+    if (!inHourRange(hour, rule.start, rule.end)) {
+        return false;
+    }
+
+    if (!rule.days) {
+        return true;
+    }
+
+    // The early-morning part of an overnight window belongs to the previous day
+    const wrapsMidnight = rule.end <= rule.start;
+    const windowDay = wrapsMidnight && hour < rule.end ? (day + 6) % 7 : day;
+    return rule.days.includes(windowDay);
+}
+
+export function findActiveRule(config, date) {
+    for (const rule of config.rules || []) {
+        if (isRuleActive(rule, date)) {
+            return rule;
+        }
+    }
+    return null;
+}
+
+export function formatHour(hour) {
+    const h = hour % 24;
+    if (h === 0) return '12am';
+    if (h === 12) return '12pm';
+    return h < 12 ? `${h}am` : `${h - 12}pm`;
+}
+
+function formatDays(days) {
+    if (!days || days.length === 7) return '';
+
+    const sorted = [...days].sort((a, b) => a - b);
+    const isRange = sorted.length > 2 && sorted.every((day, i) => i === 0 || day === sorted[i - 1] + 1);
+    if (isRange) {
+        return `${DAY_NAMES[sorted[0]]}-${DAY_NAMES[sorted[sorted.length - 1]]}`;
+    }
+    return sorted.map(day => DAY_NAMES[day]).join(', ');
+}
+
+export function describeWindow(rule) {
+    const days = formatDays(rule.days);
+    const hours = hasHours(rule) ? `${formatHour(rule.start)}-${formatHour(rule.end)}` : '';
+    return [days, hours].filter(Boolean).join(' ') || 'all day';
+}
+
+// "5-minute", "1-hour", "90-minute"
+export function formatDurationLabel(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes % 60 === 0 ? `${minutes / 60}-hour` : `${minutes}-minute`;
+}
+
+// "1 hour", "15 minutes"
+function formatDurationWords(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes % 60 === 0 && minutes > 0) {
+        return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+    }
+    return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+}
+
+// Grace sessions shorter than this are not offered when a daily grace time cap runs low
+const MIN_GRACE_MS = 60000;
+
+function describeGrace(rule, cap) {
+    if (cap?.unavailable) return cap.unavailable;
+    const durationMs = cap ? cap.durationMs : rule.graceDurationMs;
+    return durationMs > 0 ? `${formatDurationLabel(durationMs)} grace available` : 'no grace period';
+}
+
+function formatClock(timestamp) {
+    const date = new Date(timestamp);
+    const minutes = date.getMinutes();
+    if (minutes === 0) return formatHour(date.getHours());
+    const hour = formatHour(date.getHours());
+    return `${hour.slice(0, -2)}:${String(minutes).padStart(2, '0')}${hour.slice(-2)}`;
+}
+
+// What the group's grace limits leave of the rule's grace period.
+// grace: { count, ms, lastAt } for today plus weekCount, which includes today.
+function capGrace(rule, limits, grace, now) {
+    const durationMs = rule.graceDurationMs || 0;
+    if (!limits || durationMs === 0) return null;
+
+    const { count = 0, ms = 0, lastAt = null, weekCount = count } = grace || {};
+    if (limits.maxPerDay !== undefined && count >= limits.maxPerDay) {
+        return { durationMs: 0, unavailable: `all ${limits.maxPerDay} grace unlocks for today used` };
+    }
+    if (limits.maxPerWeek !== undefined && weekCount >= limits.maxPerWeek) {
+        return { durationMs: 0, unavailable: `all ${limits.maxPerWeek} grace unlocks for this week used` };
+    }
+    const leftMs = limits.maxDailyMs !== undefined ? limits.maxDailyMs - ms : Infinity;
+    if (leftMs < MIN_GRACE_MS) {
+        return { durationMs: 0, unavailable: `all ${formatDurationWords(limits.maxDailyMs)} of grace time for today used` };
+    }
+    if (limits.minGapMs > 0 && lastAt && now - lastAt < limits.minGapMs) {
+        return { durationMs: 0, unavailable: `next grace unlock at ${formatClock(lastAt + limits.minGapMs)}` };
+    }
+    return { durationMs: Math.min(durationMs, leftMs) };
+}
+
+function describeGraceLimits(limits) {
+    const parts = [];
+    if (limits.maxPerDay !== undefined) parts.push(`${limits.maxPerDay} per day`);
+    if (limits.maxPerWeek !== undefined) parts.push(`${limits.maxPerWeek} per week`);
+    if (limits.maxDailyMs !== undefined) parts.push(`${formatDurationWords(limits.maxDailyMs)} per day in total`);
+    if (limits.minGapMs > 0) parts.push(`${formatDurationWords(limits.minGapMs)} apart`);
+    return parts.length > 0 ? `Grace unlocks: at most ${parts.join(', ')}` : null;
+}
+
+function ruleName(rule) {
+    const window = describeWindow(rule);
+    if (window === 'all day') return null;
+    return rule.label ? `${rule.label} (${window})` : window;
+}
+
+// One line per rule, for the blocked page and the options page
+export function describeRules(config) {
+    const lines = (config.rules || []).map(rule => {
+        const when = ruleName(rule) || 'At all times';
+        let line;
+        if (rule.mode === 'allowance') {
+            line = `${when}: ${formatDurationLabel(rule.allowanceMs)} allowance per day (timer starts from first access), then blocked`;
+        } else if (rule.mode === 'budget') {
+            line = `${when}: ${formatDurationLabel(rule.budgetMs)} budget of time actually spent on these sites per day, then blocked`;
+        } else if (rule.mode === 'visits') {
+            line = `${when}: ${rule.maxVisits} visit(s) ${visitPeriod(rule)} of up to ${formatDurationWords(rule.visitDurationMs)} each, otherwise blocked`;
+        } else {
+            line = `${when}: blocked`;
+        }
+        line += `, ${describeGrace(rule)}`;
+        if (rule.lunch?.maxSessions > 0) {
+            line += `; ${rule.lunch.maxSessions} ${formatDurationLabel(rule.lunch.durationMs)} lunch session(s) between ${formatHour(rule.lunch.start)}-${formatHour(rule.lunch.end)}`;
+            if (rule.lunch.maxPerWeek !== undefined) line += `, at most ${rule.lunch.maxPerWeek} per week`;
+        }
+        return line;
+    });
+
+    if (lines.length === 0) {
+        lines.push('No restrictions');
+        return lines;
+    }
+    if (config.rules.some(hasHours) || config.rules.some(rule => rule.days)) {
+        lines.push('Unrestricted at all other times');
+    }
+    const limits = config.graceLimits && describeGraceLimits(config.graceLimits);
+    if (limits) {
+        lines.push(limits);
+    }
+    return lines;
+}
+
+function hoursInWindow(window) {
+    return Array.from({ length: 24 }, (_, hour) => hour).filter(hour => inHourRange(hour, window.start, window.end));
+}
+
+function isLunchLooser(next, prev) {
+    if (!(next?.maxSessions > 0)) return false;
+    if (!(prev?.maxSessions > 0)) return true;
+    const prevHours = hoursInWindow(prev);
+    return next.maxSessions > prev.maxSessions ||
+        (prev.maxPerWeek !== undefined && !(next.maxPerWeek <= prev.maxPerWeek)) ||
+        next.durationMs > prev.durationMs ||
+        hoursInWindow(next).some(hour => !prevHours.includes(hour));
+}
+
+// True when `next` restricts less than `prev` while both apply. No rule at all is the
+// least strict; a block beats any time limit, and allowance and budget are not
+// comparable, so switching between them counts as loosening.
+export function isRuleLooser(next, prev) {
+    if (!prev) return false;
+    if (!next) return true;
+
+    if (next.mode !== prev.mode && next.mode !== 'block') return true;
+    if (next.mode === prev.mode) {
+        if (next.mode === 'allowance' && next.allowanceMs > prev.allowanceMs) return true;
+        if (next.mode === 'budget' && next.budgetMs > prev.budgetMs) return true;
+        if (next.mode === 'visits' && (next.maxVisits > prev.maxVisits || next.visitDurationMs > prev.visitDurationMs ||
+            (next.visitReset || 'day') !== (prev.visitReset || 'day'))) return true;
+    }
+
+    return (next.graceDurationMs || 0) > (prev.graceDurationMs || 0) || isLunchLooser(next.lunch, prev.lunch);
+}
+
+// True when `next` caps grace unlocks less than `prev`; a missing limit is no cap
+export function areGraceLimitsLooser(next = {}, prev = {}) {
+    for (const key of ['maxPerDay', 'maxPerWeek', 'maxDailyMs']) {
+        if (prev[key] !== undefined && !(next[key] <= prev[key])) return true;
+    }
+    return (next.minGapMs || 0) < (prev.minGapMs || 0);
+}
+
+function visitPeriod(rule) {
+    return rule.visitReset === 'rolling' ? 'in any 24 hours' : 'per day';
+}
+
+// Visit starts that count against the rule at `now`
+function countedVisits(rule, starts, now) {
+    if (rule.visitReset === 'rolling') {
+        return starts.filter(start => now - start < ROLLING_VISIT_WINDOW_MS);
+    }
+    const midnight = new Date(now);
+    midnight.setHours(0, 0, 0, 0);
+    return starts.filter(start => start >= midnight.getTime());
+}
+
+// When the next used visit stops counting
+function visitResetAt(rule, counted, now) {
+    if (counted.length === 0) return null;
+    if (rule.visitReset === 'rolling') {
+        return Math.min(...counted) + ROLLING_VISIT_WINDOW_MS;
+    }
+    const midnight = new Date(now);
+    midnight.setHours(24, 0, 0, 0);
+    return midnight.getTime();
+}
+
+// A visit starts with a new view of the group's sites and lasts visitDurationMs. While
+// none runs, the sites stay open as long as visits are left, except for a page still
+// open from the last visit, which has to start the next one from the blocked page.
+// visits: { starts, viewActive }
+function evaluateVisits(rule, evaluation, visits, now, cap) {
+    const { starts = [], viewActive = false } = visits || {};
+    const counted = countedVisits(rule, starts, now);
+    const remaining = Math.max(0, rule.maxVisits - counted.length);
+    const left = `${remaining} of ${rule.maxVisits} visits left ${rule.visitReset === 'rolling' ? 'in the last 24 hours' : 'today'}`;
+    const visitLeftMs = starts.length > 0 ? Math.max(...starts) + rule.visitDurationMs - now : 0;
+
+    evaluation.visitsRemaining = remaining;
+    evaluation.maxVisits = rule.maxVisits;
+    evaluation.visitDurationMs = rule.visitDurationMs;
+    evaluation.visitResetAt = visitResetAt(rule, counted, now);
+
+    if (visitLeftMs > 0) {
+        evaluation.visitRemainingMs = visitLeftMs;
+        evaluation.status = `Visit in progress, ${Math.ceil(visitLeftMs / 60000)} min left (${left})`;
+    } else if (remaining === 0) {
+        const name = ruleName(rule);
+        blockedBy(rule, evaluation,
+            `All ${rule.maxVisits} visits ${rule.visitReset === 'rolling' ? 'for the last 24 hours' : 'for today'} used${name ? `. Blocked during ${name}` : ''}`,
+            'Blocked: visits used up', cap);
+    } else if (viewActive) {
+        blockedBy(rule, evaluation, `No visit in progress, ${left}`, 'Blocked: no visit in progress', cap);
+        evaluation.visitAvailable = true;
+    } else {
+        evaluation.status = `${left}, opening a page starts a ${formatDurationLabel(rule.visitDurationMs)} visit`;
+    }
+}
+
+function isLunchAvailable(rule, date, lunchCount, lunchWeekCount) {
+    const lunch = rule.lunch;
+    return !!lunch && lunch.maxSessions > 0 &&
+        inHourRange(date.getHours(), lunch.start, lunch.end) &&
+        lunchCount < lunch.maxSessions &&
+        !(lunch.maxPerWeek !== undefined && lunchWeekCount >= lunch.maxPerWeek);
+}
+
+function blockedBy(rule, evaluation, reason, status, cap) {
+    const grace = describeGrace(rule, cap);
+    evaluation.blocked = true;
+    evaluation.reason = `${reason}. ${grace[0].toUpperCase()}${grace.slice(1)}.`;
+    evaluation.status = `${status} (${grace})`;
+    evaluation.graceDurationMs = cap ? cap.durationMs : rule.graceDurationMs || 0;
+    if (cap?.unavailable) {
+        evaluation.graceUnavailable = `${grace[0].toUpperCase()}${grace.slice(1)}`;
+    }
+}
+
+// Evaluates a group against its rules.
+// context: { now, session, firstAccess, trackedMs, lunchCount, lunchWeekCount, grace, visits, focusUntil }
+// lunchWeekCount includes today's lunchCount.
+// The result always carries `blocked` and `status`; `allow` also accounts for an active session.
+// A focus session running until `focusUntil` blocks every group outright, with no way
+// to unlock and regardless of sessions started before it.
+export function evaluateGroup(group, config, context) {
+    const { now, session, firstAccess, trackedMs = 0, lunchCount = 0, lunchWeekCount = lunchCount, grace, visits, focusUntil } = context;
+    const date = new Date(now);
+    const rule = findActiveRule(config, date);
+
+    if (focusUntil > now) {
+        return {
+            group,
+            allow: false,
+            blocked: true,
+            rule,
+            focusUntil,
+            reason: `Focus mode until ${formatClock(focusUntil)}.`,
+            status: `Blocked: focus mode until ${formatClock(focusUntil)}`,
+            graceDurationMs: 0
+        };
+    }
+    const evaluation = { group, allow: true, blocked: false, rule };
+    const cap = rule && capGrace(rule, config.graceLimits, grace, now);
+
+    if (!rule) {
+        evaluation.status = (config.rules || []).length > 0 ? 'Not blocked (outside restricted hours)' : 'Not blocked';
+    } else if (rule.mode === 'allowance') {
+        const remainingMs = rule.allowanceMs - (firstAccess ? now - firstAccess : 0);
+        if (remainingMs > 0) {
+            evaluation.allowanceRemainingMs = remainingMs;
+            evaluation.status = firstAccess
+                ? `${Math.ceil(remainingMs / 60000)} min remaining of daily allowance`
+                : `${formatDurationLabel(rule.allowanceMs)} daily allowance available`;
+        } else {
+            const name = ruleName(rule);
+            blockedBy(rule, evaluation,
+                `Daily ${formatDurationLabel(rule.allowanceMs)} allowance exhausted${name ? `. Blocked during ${name}` : ''}`,
+                'Blocked: daily allowance exhausted', cap);
+        }
+    } else if (rule.mode === 'budget') {
+        const remainingMs = rule.budgetMs - trackedMs;
+        if (remainingMs > 0) {
+            evaluation.budgetRemainingMs = remainingMs;
+            evaluation.status = `${Math.ceil(remainingMs / 60000)} min left of ${formatDurationLabel(rule.budgetMs)} daily budget`;
+        } else {
+            const name = ruleName(rule);
+            blockedBy(rule, evaluation,
+                `Daily ${formatDurationLabel(rule.budgetMs)} time budget used up${name ? `. Blocked during ${name}` : ''}`,
+                'Blocked: daily time budget used up', cap);
+        }
+    } else if (rule.mode === 'visits') {
+        evaluateVisits(rule, evaluation, visits, now, cap);
+    } else {
+        const name = ruleName(rule);
+        blockedBy(rule, evaluation,
+            name ? `Blocked during ${name}` : 'Always blocked',
+            name ? `Blocked during ${name}` : 'Always blocked', cap);
+    }
+
+    if (evaluation.blocked && rule.lunch?.maxSessions > 0) {
+        evaluation.lunchCount = lunchCount;
+        evaluation.maxLunchSessions = rule.lunch.maxSessions;
+        if (rule.lunch.maxPerWeek !== undefined) {
+            evaluation.lunchWeekCount = lunchWeekCount;
+            evaluation.maxLunchPerWeek = rule.lunch.maxPerWeek;
+        }
+        if (isLunchAvailable(rule, date, lunchCount, lunchWeekCount)) {
+            evaluation.lunchAvailable = true;
+            evaluation.lunchDurationMs = rule.lunch.durationMs;
+            evaluation.reason += ' Lunch session available.';
+        }
+    }
+
+    evaluation.allow = !evaluation.blocked;
+    if (session && session.expiresAt > now) {
+        evaluation.allow = true;
+        evaluation.session = session;
+        evaluation.remainingMs = session.expiresAt - now;
+    }
+
+    return evaluation;
+}
@@ -0,0 +1,114 @@
+// Extension settings other than the blocking policies, stored under the `settings`
+// key of the config store. Saved settings are layered over these defaults per section.
+
+import { validateRetention } from './retention.js';
+import { CHALLENGES } from './challenges.js';
+
+export const DEFAULT_SETTINGS = {
+    retention: {
+        detailDays: 365,       // days kept in full detail before being rolled up
+        rollup: 'month',       // 'week' or 'month'
+        minMinutes: 0          // domains with less time on a day are dropped when rolled up
+    },
+    tracking: {
+        idleSeconds: 60,           // no input for this long pauses tracking
+        countMediaWhenIdle: true   // keep counting while the tracked tab plays audio, so budgets cover streaming
+    },
+    policyLock: {
+        delayHours: 24             // loosening policy changes wait this long, 0 applies them at once
+    },
+    unlocks: {
+        askReason: true,           // the blocked page asks why before a grace or lunch session
+        requireReason: false       // and will not unlock with the reason left empty
+    },
+    focus: {
+        challenge: 'sentence'      // solved to end a focus session early
+    },
+    warnings: {
+        minutes: [5, 1],           // before a grace or lunch session ends
+        notify: true,              // as a desktop notification
+        overlay: true,             // as a countdown over the page
+        windDownSeconds: 0         // the page stays open this long after the session ends
+    }
+};
+
+export function withDefaultSettings(saved) {
+    const settings = {};
+    for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+        settings[section] = { ...defaults, ...(saved?.[section] || {}) };
+    }
+    return settings;
+}
+
+// Returns a list of human-readable problems, empty when the settings are usable
+export function validateSettings(settings) {
+    const errors = validateRetention(settings.retention);
+
+    const { idleSeconds, countMediaWhenIdle } = settings.tracking;
+    if (!Number.isInteger(idleSeconds) || idleSeconds < 15) {
+        errors.push('Idle time must be a whole number of at least 15 seconds');
+    }
+    if (typeof countMediaWhenIdle !== 'boolean') {
+        errors.push('Counting media while idle must be on or off');
+    }
+
+    const { delayHours } = settings.policyLock;
+    if (typeof delayHours !== 'number' || !(delayHours >= 0) || delayHours > 24 * 14) {
+        errors.push('The delay for loosening changes must be between 0 and 336 hours');
+    }
+
+    const { askReason, requireReason } = settings.unlocks;
+    if (typeof askReason !== 'boolean' || typeof requireReason !== 'boolean') {
+        errors.push('Asking for an unlock reason must be on or off');
+    }
+
+    const { minutes, notify, overlay, windDownSeconds } = settings.warnings;
+    if (!Array.isArray(minutes) || minutes.length > 5 || minutes.some(value => !Number.isInteger(value) || value < 1 || value > 120)) {
+        errors.push('Warnings must be at most five whole numbers of minutes between 1 and 120');
+    }
+    if (typeof notify !== 'boolean' || typeof overlay !== 'boolean') {
+        errors.push('Warning notifications and the page countdown must be on or off');
+    }
+    if (!Number.isInteger(windDownSeconds) || windDownSeconds < 0 || windDownSeconds > 300) {
+        errors.push('The wind-down must be a whole number of seconds up to 300');
+    }
+
+    if (!CHALLENGES[settings.focus.challenge]) {
+        errors.push(`The focus challenge must be one of ${Object.keys(CHALLENGES).join(', ')}`);
+    }
+
+    return errors;
+}
+
+const challengeLabel = type => CHALLENGES[type]?.label.toLowerCase() || type;
+
+// Settings that weaken the limits when they change one way: section, key, whether the
+// change from `prev` to `next` loosens, and how to describe it
+const LOOSENING_SETTINGS = [
+    ['policyLock', 'delayHours', (prev, next) => next < prev, (prev, next) => `Change delay shortened from ${prev} to ${next} hours`],
+    ['tracking', 'idleSeconds', (prev, next) => next < prev, (prev, next) => `Idle time shortened from ${prev} to ${next} seconds`],
+    ['tracking', 'countMediaWhenIdle', (prev, next) => prev && !next, () => 'Playing media no longer counted while idle'],
+    ['unlocks', 'askReason', (prev, next) => prev && !next, () => 'No longer asking for a reason before unlocking'],
+    ['unlocks', 'requireReason', (prev, next) => prev && !next, () => 'Unlocking no longer requires a reason'],
+    // Challenge types are not ranked, so any switch may make ending focus easier
+    ['focus', 'challenge', (prev, next) => prev !== next, (prev, next) => `Focus challenge changed from ${challengeLabel(prev)} to ${challengeLabel(next)}`],
+    ['warnings', 'windDownSeconds', (prev, next) => next > prev, (prev, next) => `Wind-down lengthened from ${prev} to ${next} seconds`]
+];
+
+// Splits a settings change like splitLoosening() in policies.js: `immediate` is `next`
+// with every loosening field kept at `prev`, `delayed` holds those fields per section
+// and `reasons` describes them
+export function splitSettingsLoosening(prev, next) {
+    const immediate = structuredClone(next);
+    const delayed = {};
+    const reasons = [];
+    for (const [section, key, loosens, describe] of LOOSENING_SETTINGS) {
+        const before = prev[section][key];
+        const after = next[section][key];
+        if (!loosens(before, after)) continue;
+        immediate[section][key] = before;
+        delayed[section] = { ...delayed[section], [key]: after };
+        reasons.push(describe(before, after));
+    }
+    return { immediate, delayed, reasons };
+}
@@ -32,3 +32,20 @@ export function formatTimeRemaining(totalSeconds) {
         return `${totalSeconds} seconds`;
     }
 }
+
+// Parse a YYYY-MM-DD key back into a local Date at midnight
+export function parseDateKey(key) {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+// Date key of the Monday starting the week that contains the given date key
+export function getWeekStartKey(key) {
+    const date = parseDateKey(key);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return getDateKey(date);
+}
+
+export function getMonthKey(key) {
+    return key.slice(0, 7);
+}
@@ -1,9 +1,10 @@
 (async function() {
-    // Only run on top-level frames
-    if (window.top !== window) return;
+    // Only run on top-level frames, and once per page when injected into an open tab
+    if (window.top !== window || window.__outerControlTracker) return;
+    window.__outerControlTracker = true;
 
-    const host = window.location.hostname;
-    const url = window.location.href;
+    let host = window.location.hostname;
+    let url = window.location.href;
 
     console.log('[Tracker] Content script loaded on:', host);
 
@@ -17,76 +18,191 @@
         return;
     }
 
-    console.log('[Tracker] Checking access for:', host);
-    const response = await chrome.runtime.sendMessage({
-        action: 'checkAccess',
-        host
-    });
-
-    console.log('[Tracker] Access response:', response);
-
-    if (!response.allow) {
+    function redirectToBlocked() {
         window.location.replace(chrome.runtime.getURL('blocked.html') +
             '?url=' + encodeURIComponent(url));
+    }
+
+    // Countdown over the page, for session warnings and the wind-down
+    let overlay = null;
+
+    function hideOverlay() {
+        if (!overlay) return;
+        clearInterval(overlay.timer);
+        overlay.element.remove();
+        overlay = null;
+    }
+
+    function showOverlay(text, endsAt, dismissible) {
+        hideOverlay();
+        const element = document.createElement('div');
+        // A closed shadow root keeps the page's styles and scripts away from it
+        const shadow = element.attachShadow({ mode: 'closed' });
+        shadow.innerHTML = `
+            <style>
+                .box {
+                    position: fixed;
+                    top: 16px;
+                    right: 16px;
+                    z-index: 2147483647;
+                    display: flex;
+                    align-items: center;
+                    gap: 12px;
+                    padding: 10px 14px;
+                    border-radius: 8px;
+                    background: #2A5F70;
+                    color: #FFFFFF;
+                    font: 600 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+                }
+                button {
+                    border: none;
+                    background: none;
+                    color: inherit;
+                    font: inherit;
+                    font-size: 18px;
+                    line-height: 1;
+                    cursor: pointer;
+                }
+            </style>
+            <div class="box"><span></span><button title="Dismiss">&times;</button></div>
+        `;
+        const label = shadow.querySelector('span');
+        const button = shadow.querySelector('button');
+        button.hidden = !dismissible;
+        button.addEventListener('click', hideOverlay);
+
+        const render = () => {
+            const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+            label.textContent = `${text} ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+        render();
+        document.documentElement.appendChild(element);
+        overlay = { element, timer: setInterval(render, 1000) };
+    }
+
+    // The running grace or lunch session, if any: when it ends, and the warnings and
+    // wind-down the background sent along with it
+    let session = null;
+    let sessionTimers = [];
+    let windingDown = false;
+
+    // Rechecks report the same session with a slightly different remaining time
+    const SAME_SESSION_MS = 2000;
+
+    function clearSession() {
+        sessionTimers.forEach(clearTimeout);
+        sessionTimers = [];
+        session = null;
+        if (!windingDown) hideOverlay();
+    }
+
+    function trackSession(response) {
+        const endsAt = Date.now() + response.remainingMs;
+        if (session && Math.abs(session.endsAt - endsAt) < SAME_SESSION_MS) return;
+
+        clearSession();
+        const { minutes = [], windDownMs = 0 } = response.warnings || {};
+        session = { endsAt, windDownMs };
+
+        const text = `${response.sessionType === 'lunch' ? 'Lunch' : 'Grace'} session ends in`;
+        // A warning whose time has passed already shows at once, the nearest one only
+        const due = minutes.map(value => response.remainingMs - value * 60000);
+        if (due.some(delay => delay <= 0)) {
+            showOverlay(text, endsAt, true);
+        }
+        for (const delay of due.filter(delay => delay > 0)) {
+            sessionTimers.push(setTimeout(() => showOverlay(text, endsAt, true), delay));
+        }
+        sessionTimers.push(setTimeout(endSession, response.remainingMs));
+    }
+
+    // The page stays for the wind-down after the session, then goes to the blocked page
+    function endSession() {
+        if (windingDown) return;
+        const windDownMs = session?.windDownMs || 0;
+        clearSession();
+        if (windDownMs <= 0) {
+            redirectToBlocked();
+            return;
+        }
+
+        windingDown = true;
+        showOverlay('Session over. This page closes in', Date.now() + windDownMs, false);
+        setTimeout(redirectToBlocked, windDownMs);
+    }
+
+    // True from just before the session's end until its wind-down is over; a block
+    // reported then is the session running out, not something else closing the page
+    function sessionEnding() {
+        const now = Date.now();
+        return !!session && now >= session.endsAt - SAME_SESSION_MS && now < session.endsAt + session.windDownMs;
+    }
+
+    async function checkAccess() {
+        console.log('[Tracker] Checking access for:', url);
+        const response = await chrome.runtime.sendMessage({
+            action: 'checkAccess',
+            url
+        });
+
+        console.log('[Tracker] Access response:', response);
+
+        if (!response.allow) {
+            if (windingDown) return false;
+            if (sessionEnding()) {
+                endSession();
+                return false;
+            }
+            clearSession();
+            redirectToBlocked();
+            return false;
+        } else if (response.remainingMs) {
+            trackSession(response);
+        } else {
+            clearSession();
+        }
+        return true;
+    }
+
+    if (!await checkAccess()) {
         return;
-    } else if (response.remainingMs) {
-        // Set timer for session expiry
-        setTimeout(() => {
-            window.location.replace(chrome.runtime.getURL('blocked.html') +
-                '?url=' + encodeURIComponent(url));
-        }, response.remainingMs);
     }
 
     chrome.runtime.onMessage.addListener((request) => {
         if (request.action === 'sessionExpired') {
-            window.location.replace(chrome.runtime.getURL('blocked.html') +
-                '?url=' + encodeURIComponent(url));
+            if (windingDown) return;
+            if (sessionEnding()) {
+                endSession();
+            } else {
+                redirectToBlocked();
+            }
+        } else if (request.action === 'recheckAccess') {
+            checkAccess();
         }
     });
 
-    console.log('[Tracker] Starting tracking for:', host);
-    let accumulatedSeconds = 0;
-    let lastReportedSeconds = 0;
+    // Single-page apps change the URL without a page load, and the new page may
+    // fall under another rule. Time itself is tracked by the background worker.
+    async function handleLocationChange() {
+        if (window.location.href === url) return;
 
-    await chrome.runtime.sendMessage({
-        action: 'recordUsage',
-        host,
-        seconds: 0
-    });
+        host = window.location.hostname;
+        url = window.location.href;
+        console.log('[Tracker] In-page navigation to:', url);
 
-    // Flush on visibility change (when tab becomes hidden)
-    document.addEventListener('visibilitychange', async () => {
-        if (document.visibilityState === 'hidden' && accumulatedSeconds > lastReportedSeconds) {
-            const unreported = accumulatedSeconds - lastReportedSeconds;
-            const result = await chrome.runtime.sendMessage({
-                action: 'recordUsage',
-                host,
-                seconds: unreported
-            });
-            if (result?.success) lastReportedSeconds += unreported;
-        }
-    });
+        await checkAccess();
+    }
 
-    // 1s ticker: accumulate and report every 10 ticks
-    let ticks = 0;
-    setInterval(async () => {
-        if (document.visibilityState === 'visible') {
-            accumulatedSeconds++;
-        }
+    window.addEventListener('outercontrol:locationchange', handleLocationChange);
+    window.addEventListener('popstate', handleLocationChange);
 
-        ticks++;
-        if (ticks % 10 === 0 && document.visibilityState === 'visible') {
-            const delta = accumulatedSeconds - lastReportedSeconds;
-            if (delta > 0) {
-                const result = await chrome.runtime.sendMessage({
-                    action: 'recordUsage',
-                    host,
-                    seconds: delta
-                });
-                if (result?.success) lastReportedSeconds += delta;
-            }
+    // Polls the URL in case a navigation slipped past the history hooks
+    setInterval(() => {
+        if (window.location.href !== url) {
+            handleLocationChange();
         }
     }, 1000);
 
-    console.log('[Tracker] Tracking initialized for:', host);
+    console.log('[Tracker] Access checks initialized for:', host);
 })();
@@ -0,0 +1,320 @@
+import { getAllUsageForExport, getAllAggregatesFromIDB, getAllUnlocksFromIDB } from './common/idb.js';
+import { formatTime, getDateKey, parseDateKey, getWeekStartKey, getMonthKey } from './common/time.js';
+import { buildDomainMap, lookupGroup, groupLabel } from './common/policies.js';
+import { PALETTE, renderStackedBarChart, renderLineChart, renderHeatmap } from './common/charts.js';
+import { escapeHtml } from './common/html.js';
+
+// Time on sites outside every policy group
+const UNRESTRICTED = 'unrestricted';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOURS = Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, '0')}:00`);
+
+let allDays = [];
+let allUnlocks = [];
+let domainMap = null;
+
+function formatMs(ms) {
+    return formatTime(Math.round(ms / 1000));
+}
+
+// Per-group split of a domain's time. Entries recorded with a URL carry their own
+// split (path patterns can divide one host between groups); older ones go by host.
+function splitByGroup(domain, data) {
+    const time = data.time || 0;
+    if (!data.groups) {
+        return { [lookupGroup(domain, domainMap)?.group || UNRESTRICTED]: time };
+    }
+
+    const split = { ...data.groups };
+    const grouped = Object.values(split).reduce((sum, ms) => sum + ms, 0);
+    if (time > grouped) {
+        split[UNRESTRICTED] = (split[UNRESTRICTED] || 0) + time - grouped;
+    }
+    return split;
+}
+
+function getPeriodKey(dateKey, granularity) {
+    if (granularity === 'week') return getWeekStartKey(dateKey);
+    if (granularity === 'month') return getMonthKey(dateKey);
+    return dateKey;
+}
+
+function listPeriods(start, end, granularity) {
+    const periods = [];
+    const date = parseDateKey(start);
+    const last = parseDateKey(end);
+    while (date <= last) {
+        const key = getPeriodKey(getDateKey(date), granularity);
+        if (periods[periods.length - 1] !== key) {
+            periods.push(key);
+        }
+        date.setDate(date.getDate() + 1);
+    }
+    return periods;
+}
+
+function addTotals(target, data) {
+    target.time += data.time || 0;
+    target.views += data.views || 0;
+    target.tempAccessCount += data.tempAccessCount || 0;
+}
+
+function emptyTotals() {
+    return { time: 0, views: 0, tempAccessCount: 0 };
+}
+
+function aggregate(start, end, granularity) {
+    const periods = listPeriods(start, end, granularity);
+    const periodIndex = new Map(periods.map((key, i) => [key, i]));
+
+    const groupTime = {};
+    const periodCounts = periods.map(() => emptyTotals());
+    const groups = {};
+    const domains = {};
+
+    for (const day of allDays) {
+        if (day.date < start || day.date > end) continue;
+        const index = periodIndex.get(getPeriodKey(day.date, granularity));
+
+        for (const [domain, data] of Object.entries(day.data)) {
+            if (domain.startsWith('__')) continue;
+
+            addTotals(periodCounts[index], data);
+
+            if (!domains[domain]) {
+                domains[domain] = { ...emptyTotals(), days: 0, group: lookupGroup(domain, domainMap)?.group || UNRESTRICTED };
+            }
+            addTotals(domains[domain], data);
+            domains[domain].days += data.days || 1;
+
+            for (const [group, ms] of Object.entries(splitByGroup(domain, data))) {
+                if (!groupTime[group]) groupTime[group] = periods.map(() => 0);
+                groupTime[group][index] += ms;
+                if (!groups[group]) groups[group] = emptyTotals();
+                groups[group].time += ms;
+            }
+
+            // Views and unlocks are counted per host, so credit them to the host's group
+            const hostGroup = domains[domain].group;
+            if (!groups[hostGroup]) groups[hostGroup] = emptyTotals();
+            groups[hostGroup].views += data.views || 0;
+            groups[hostGroup].tempAccessCount += data.tempAccessCount || 0;
+        }
+    }
+
+    return { periods, groupTime, periodCounts, groups, domains };
+}
+
+// Share of an entry's time that belongs to the heatmap subject ('all', 'group:x' or 'domain:x')
+function subjectShare(subject, domain, data) {
+    if (subject === 'all') return 1;
+    if (subject.startsWith('domain:')) return subject.slice(7) === domain ? 1 : 0;
+
+    const time = data.time || 0;
+    if (time === 0) return 0;
+    return (splitByGroup(domain, data)[subject.slice(6)] || 0) / time;
+}
+
+function buildHeatmap(start, end, subject) {
+    const values = WEEKDAYS.map(() => HOURS.map(() => 0));
+
+    for (const day of allDays) {
+        if (day.date < start || day.date > end) continue;
+        const row = (parseDateKey(day.date).getDay() + 6) % 7;
+
+        for (const [domain, data] of Object.entries(day.data)) {
+            if (domain.startsWith('__') || !data.hours) continue;
+            const share = subjectShare(subject, domain, data);
+            if (share === 0) continue;
+            for (const [hour, ms] of Object.entries(data.hours)) {
+                values[row][Number(hour)] += ms * share;
+            }
+        }
+    }
+
+    return values;
+}
+
+function updateHeatmapSubjects(groups, domains) {
+    const select = document.getElementById('heatmap-subject');
+    const current = select.value;
+    const options = [['all', 'All sites']];
+    for (const name of Object.keys(groups).sort()) {
+        options.push([`group:${name}`, `Group: ${name}`]);
+    }
+    for (const [domain] of Object.entries(domains).sort(([, a], [, b]) => b.time - a.time).slice(0, 30)) {
+        options.push([`domain:${domain}`, domain]);
+    }
+
+    select.innerHTML = options.map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+    select.value = options.some(([value]) => value === current) ? current : 'all';
+}
+
+function formatClock(timestamp) {
+    const date = new Date(timestamp);
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// Newest day first, one row per day and group
+function buildUnlockRows(unlocks) {
+    const rows = new Map();
+    for (const unlock of unlocks) {
+        const group = unlock.group || UNRESTRICTED;
+        const key = `${unlock.date}|${group}`;
+        if (!rows.has(key)) rows.set(key, { date: unlock.date, group, unlocks: [] });
+        rows.get(key).unlocks.push(unlock);
+    }
+
+    return [...rows.values()]
+        .sort((a, b) => b.date.localeCompare(a.date) || a.group.localeCompare(b.group))
+        .map(({ date, group, unlocks }) => [
+            date,
+            groupLabel(group),
+            unlocks.length,
+            unlocks.map(unlock => `${formatClock(unlock.at)} ${unlock.host} (${unlock.type})${unlock.reason ? `: ${unlock.reason}` : ''}`).join('; ')
+        ]);
+}
+
+function buildUnlockHeatmap(unlocks) {
+    const values = WEEKDAYS.map(() => HOURS.map(() => 0));
+    for (const unlock of unlocks) {
+        const date = new Date(unlock.at);
+        values[(date.getDay() + 6) % 7][date.getHours()]++;
+    }
+    return values;
+}
+
+function renderTable(container, headers, rows) {
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="no-data">No data in this range</p>';
+        return;
+    }
+
+    let html = '<table><thead><tr>';
+    for (const [label, numeric] of headers) {
+        html += `<th class="${numeric ? 'num' : ''}">${label}</th>`;
+    }
+    html += '</tr></thead><tbody>';
+    for (const row of rows) {
+        html += '<tr>' + row.map((cell, i) => `<td class="${headers[i][1] ? 'num' : ''}">${escapeHtml(cell)}</td>`).join('') + '</tr>';
+    }
+    html += '</tbody></table>';
+    container.innerHTML = html;
+}
+
+function render() {
+    const start = document.getElementById('range-start').value;
+    const end = document.getElementById('range-end').value;
+    const granularity = document.getElementById('granularity').value;
+
+    if (!start || !end || start > end) {
+        return;
+    }
+
+    const { periods, groupTime, periodCounts, groups, domains } = aggregate(start, end, granularity);
+
+    const groupNames = Object.keys(groupTime).sort((a, b) => groups[b].time - groups[a].time);
+    renderStackedBarChart(document.getElementById('time-chart'), {
+        labels: periods,
+        series: groupNames.map((name, i) => ({ name, color: PALETTE[i % PALETTE.length], values: groupTime[name] })),
+        formatValue: formatMs
+    });
+
+    const hasCounts = periodCounts.some(c => c.views > 0 || c.tempAccessCount > 0);
+    renderLineChart(document.getElementById('counts-chart'), {
+        labels: hasCounts ? periods : [],
+        series: [
+            { name: 'Views', color: PALETTE[0], values: periodCounts.map(c => c.views) },
+            { name: 'Temporary access', color: PALETTE[1], values: periodCounts.map(c => c.tempAccessCount) }
+        ],
+        formatValue: value => String(Math.round(value))
+    });
+
+    updateHeatmapSubjects(groups, domains);
+    renderHeatmap(document.getElementById('heatmap'), {
+        rows: WEEKDAYS,
+        columns: HOURS,
+        values: buildHeatmap(start, end, document.getElementById('heatmap-subject').value),
+        formatValue: formatMs
+    });
+
+    renderTable(document.getElementById('group-table'),
+        [['Group', false], ['Time', true], ['Views', true], ['Temp Access', true]],
+        Object.entries(groups)
+            .sort(([, a], [, b]) => b.time - a.time)
+            .map(([name, t]) => [name, formatMs(t.time), t.views, t.tempAccessCount]));
+
+    renderTable(document.getElementById('domain-table'),
+        [['Domain', false], ['Group', false], ['Time', true], ['Views', true], ['Temp Access', true], ['Days', true]],
+        Object.entries(domains)
+            .sort(([, a], [, b]) => b.time - a.time)
+            .slice(0, 100)
+            .map(([domain, t]) => [domain, t.group, formatMs(t.time), t.views, t.tempAccessCount, t.days]));
+
+    const unlocks = allUnlocks.filter(unlock => unlock.date >= start && unlock.date <= end);
+    renderHeatmap(document.getElementById('unlock-heatmap'), {
+        rows: WEEKDAYS,
+        columns: HOURS,
+        values: buildUnlockHeatmap(unlocks),
+        formatValue: value => `${value} unlock${value === 1 ? '' : 's'}`,
+        color: [229, 115, 115]
+    });
+    renderTable(document.getElementById('unlock-table'),
+        [['Date', false], ['Group', false], ['Unlocks', true], ['Times and reasons', false]],
+        buildUnlockRows(unlocks));
+}
+
+function setRange(days) {
+    const end = new Date();
+    let start;
+    if (days === 'all') {
+        start = allDays.length > 0 ? parseDateKey(allDays[0].date) : end;
+    } else {
+        start = new Date(end);
+        start.setDate(start.getDate() - (Number(days) - 1));
+    }
+    document.getElementById('range-start').value = getDateKey(start);
+    document.getElementById('range-end').value = getDateKey(end);
+    render();
+}
+
+async function load() {
+    const [usage, aggregates, unlocks, policyResponse] = await Promise.all([
+        getAllUsageForExport(),
+        getAllAggregatesFromIDB(),
+        getAllUnlocksFromIDB(),
+        chrome.runtime.sendMessage({ action: 'getPolicies' })
+    ]);
+
+    // Rolled-up weeks and months are charted on the first day of their period
+    allDays = usage
+        .filter(entry => /^\d{4}-\d{2}-\d{2}$/.test(entry.date))
+        .map(entry => ({ date: entry.date, data: entry.data || {} }))
+        .concat(aggregates.map(aggregate => ({ date: aggregate.start, data: aggregate.data })))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    allUnlocks = unlocks;
+
+    if (aggregates.length > 0) {
+        const note = document.getElementById('rollup-note');
+        const lastCombined = aggregates.flatMap(aggregate => aggregate.dates).sort().pop();
+        note.textContent = `Days up to ${lastCombined} are combined per week or month and appear on the first day of each period.`;
+        note.hidden = false;
+    }
+    domainMap = buildDomainMap(policyResponse.policies || {});
+
+    setRange(30);
+}
+
+for (const button of document.querySelectorAll('.presets button')) {
+    button.addEventListener('click', () => setRange(button.dataset.days));
+}
+
+for (const id of ['range-start', 'range-end', 'granularity', 'heatmap-subject']) {
+    document.getElementById(id).addEventListener('change', render);
+}
+
+load().catch(err => {
+    console.error('Failed to load dashboard:', err);
+    document.getElementById('time-chart').innerHTML = `<p class="no-data">Failed to load usage data: ${escapeHtml(err.message)}</p>`;
+});
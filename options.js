@@ -0,0 +1,837 @@
+import { MIN, ALLOWLIST_GROUP, groupLabel } from './common/policies.js';
+import { CHALLENGES, DEFAULT_CHALLENGE } from './common/challenges.js';
+import { getDateKey, formatTime } from './common/time.js';
+import { DAY_NAMES } from './common/rules.js';
+import { escapeHtml } from './common/html.js';
+
+const MODE_LABELS = {
+    block: 'Block',
+    allowance: 'Daily allowance',
+    budget: 'Daily time budget',
+    visits: 'Limited visits'
+};
+
+let defaults = {};
+
+function toMinutes(ms) {
+    return ms ? Math.round(ms / MIN) : 0;
+}
+
+function field(container, name) {
+    return container.querySelector(`[data-field="${name}"]`);
+}
+
+function readNumber(container, name) {
+    return Number(field(container, name).value);
+}
+
+function renderDays(days) {
+    return DAY_NAMES.map((day, i) => `
+        <label><input type="checkbox" data-field="day" value="${i}" ${!days || days.includes(i) ? 'checked' : ''}> ${day}</label>
+    `).join('');
+}
+
+// The allowlist only offers block rules
+function renderRule(rule, modes = Object.keys(MODE_LABELS)) {
+    const row = document.createElement('div');
+    row.className = 'rule';
+
+    const hasHours = rule.start !== undefined && rule.end !== undefined;
+    row.innerHTML = `
+        <div class="field">
+            <label>Rule</label>
+            <input type="text" data-field="label" value="${escapeHtml(rule.label || '')}" placeholder="Label, e.g. work hours">
+            <select data-field="mode">
+                ${modes.map(mode => `<option value="${mode}" ${rule.mode === mode ? 'selected' : ''}>${MODE_LABELS[mode]}</option>`).join('')}
+            </select>
+            <button class="secondary small" data-action="up" title="Move up">&uarr;</button>
+            <button class="secondary small" data-action="down" title="Move down">&darr;</button>
+            <button class="danger small" data-action="remove">Remove</button>
+        </div>
+        <div class="field days">
+            <label>Days</label>
+            ${renderDays(rule.days)}
+        </div>
+        <div class="field">
+            <label><input type="checkbox" data-field="hasHours" ${hasHours ? 'checked' : ''}> Between hours</label>
+            <input type="number" min="0" max="24" data-field="start" value="${rule.start ?? 9}"> to
+            <input type="number" min="0" max="24" data-field="end" value="${rule.end ?? 17}">
+            <span class="hint">an end before the start runs past midnight</span>
+        </div>
+        <div class="field" data-show-mode="allowance">
+            <label>Allowance (minutes)</label>
+            <input type="number" min="1" data-field="allowance" value="${toMinutes(rule.allowanceMs) || 60}">
+            <span class="hint">counted from the first visit of the day</span>
+        </div>
+        <div class="field" data-show-mode="budget">
+            <label>Budget (minutes)</label>
+            <input type="number" min="1" data-field="budget" value="${toMinutes(rule.budgetMs) || 45}">
+            <span class="hint">only time actually spent on the group's sites counts</span>
+        </div>
+        <div class="field" data-show-mode="visits">
+            <label>Visits</label>
+            <input type="number" min="0" data-field="maxVisits" value="${rule.maxVisits ?? 5}"> of up to
+            <input type="number" min="1" data-field="visitDuration" value="${toMinutes(rule.visitDurationMs) || 10}"> minutes
+            <select data-field="visitReset">
+                <option value="day" ${rule.visitReset !== 'rolling' ? 'selected' : ''}>per day</option>
+                <option value="rolling" ${rule.visitReset === 'rolling' ? 'selected' : ''}>in any 24 hours</option>
+            </select>
+            <span class="hint">a visit starts when you open one of the sites</span>
+        </div>
+        <div class="field">
+            <label>Grace period (minutes)</label>
+            <input type="number" min="0" data-field="grace" value="${toMinutes(rule.graceDurationMs)}">
+            <span class="hint">0 disables unlocking</span>
+        </div>
+        <div class="field">
+            <label><input type="checkbox" data-field="hasLunch" ${rule.lunch ? 'checked' : ''}> Lunch sessions</label>
+            <input type="number" min="0" data-field="lunchMax" value="${rule.lunch?.maxSessions ?? 3}"> of
+            <input type="number" min="0" data-field="lunchDuration" value="${toMinutes(rule.lunch?.durationMs) || 45}"> minutes between
+            <input type="number" min="0" max="24" data-field="lunchStart" value="${rule.lunch?.start ?? 11}"> and
+            <input type="number" min="0" max="24" data-field="lunchEnd" value="${rule.lunch?.end ?? 15}">,
+            at most <input type="number" min="0" data-field="lunchMaxPerWeek" value="${limitValue(rule.lunch?.maxPerWeek)}"> per week
+            <span class="hint">empty for no weekly limit</span>
+        </div>
+    `;
+
+    const updateMode = () => {
+        const mode = field(row, 'mode').value;
+        for (const el of row.querySelectorAll('[data-show-mode]')) {
+            el.style.display = el.dataset.showMode === mode ? '' : 'none';
+        }
+    };
+    field(row, 'mode').addEventListener('change', updateMode);
+    updateMode();
+
+    row.querySelector('[data-action="up"]').addEventListener('click', () => {
+        if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+    });
+    row.querySelector('[data-action="down"]').addEventListener('click', () => {
+        if (row.nextElementSibling) row.parentNode.insertBefore(row.nextElementSibling, row);
+    });
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => row.remove());
+
+    return row;
+}
+
+function limitValue(value, unit = 1) {
+    return value === undefined ? '' : Math.round(value / unit);
+}
+
+function renderGroup(name, config) {
+    const limits = config.graceLimits || {};
+    const allowlist = name === ALLOWLIST_GROUP;
+    const modes = allowlist ? ['block'] : undefined;
+    const card = document.createElement('div');
+    card.className = allowlist ? 'group-card allowlist' : 'group-card';
+
+    card.innerHTML = `
+        <div class="group-header">
+            ${allowlist
+                ? `<h3>${groupLabel(name)}</h3><input type="hidden" data-field="name" value="${ALLOWLIST_GROUP}">`
+                : `<input type="text" data-field="name" value="${escapeHtml(name)}" placeholder="Group name">`}
+            <button class="danger" data-action="delete">${allowlist ? 'Turn Off' : 'Delete'}</button>
+        </div>
+        ${allowlist ? `
+        <p class="hint">
+            While a rule below applies, only these sites can be opened. Every other site goes to the blocked page,
+            with the grace unlocks set here. Sites in a group still follow that group's rules as well.
+            Regular expressions cannot be used here, and adding a site waits for the change delay.
+        </p>` : ''}
+        <div class="field">
+            <label>${allowlist ? 'Allowed hosts and URL patterns' : 'Hosts and URL patterns'} (one per line)</label>
+            <textarea data-field="hosts">${escapeHtml((config.hosts || []).join('\n'))}</textarea>
+        </div>
+        <div class="field">
+            <label>${allowlist ? 'Exceptions, blocked even so' : 'Exceptions, always allowed'} (one per line)</label>
+            <textarea data-field="exceptions">${escapeHtml((config.exceptions || []).join('\n'))}</textarea>
+        </div>
+        <div class="field">
+            <label>Before a grace unlock</label>
+            <select data-field="challenge">
+                ${Object.entries(CHALLENGES).map(([type, { label }]) => `
+                    <option value="${type}" ${(config.challenge || DEFAULT_CHALLENGE) === type ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+            <span class="hint">gets harder with each unlock taken that day</span>
+        </div>
+        <div class="field">
+            <label>Grace unlocks at most</label>
+            <input type="number" min="0" data-field="graceMaxPerDay" value="${limitValue(limits.maxPerDay)}"> per day,
+            <input type="number" min="0" data-field="graceMaxPerWeek" value="${limitValue(limits.maxPerWeek)}"> per week,
+            <input type="number" min="0" data-field="graceMaxMinutes" value="${limitValue(limits.maxDailyMs, MIN)}"> minutes per day,
+            <input type="number" min="0" data-field="graceGap" value="${limitValue(limits.minGapMs, MIN)}"> minutes apart
+            <span class="hint">empty for no limit</span>
+        </div>
+        <h3>Rules</h3>
+        <p class="hint">The first rule matching the current time applies. With no matching rule the group is not restricted.</p>
+        <div class="rules"></div>
+        <div class="toolbar">
+            <button class="secondary" data-action="add-rule">Add Rule</button>
+        </div>
+    `;
+
+    const rulesContainer = card.querySelector('.rules');
+    for (const rule of config.rules || []) {
+        rulesContainer.appendChild(renderRule(rule, modes));
+    }
+
+    card.querySelector('[data-action="add-rule"]').addEventListener('click', () => {
+        rulesContainer.appendChild(renderRule({ mode: 'block', graceDurationMs: 5 * MIN }, modes));
+    });
+
+    card.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        if (confirm(allowlist ? 'Turn off allowlist mode?' : `Delete group "${field(card, 'name').value}"?`)) {
+            card.remove();
+            updateAllowlistButton();
+        }
+    });
+
+    return card;
+}
+
+function updateAllowlistButton() {
+    document.getElementById('add-allowlist').style.display = document.querySelector('.group-card.allowlist') ? 'none' : '';
+}
+
+function renderPolicies(policies) {
+    const container = document.getElementById('groups');
+    container.innerHTML = '';
+
+    // The allowlist goes after the groups
+    const entries = Object.entries(policies).sort(([a], [b]) => (a === ALLOWLIST_GROUP) - (b === ALLOWLIST_GROUP));
+    if (entries.length === 0) {
+        container.innerHTML = '<p class="no-data">No groups configured</p>';
+    }
+
+    for (const [name, config] of entries) {
+        container.appendChild(renderGroup(name, config));
+    }
+    updateAllowlistButton();
+}
+
+function readLines(container, name) {
+    return field(container, name).value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function readRule(row) {
+    const rule = {
+        mode: field(row, 'mode').value,
+        graceDurationMs: readNumber(row, 'grace') * MIN
+    };
+
+    const label = field(row, 'label').value.trim();
+    if (label) {
+        rule.label = label;
+    }
+
+    const days = [...row.querySelectorAll('[data-field="day"]:checked')].map(box => Number(box.value));
+    if (days.length < 7) {
+        rule.days = days;
+    }
+
+    if (field(row, 'hasHours').checked) {
+        rule.start = readNumber(row, 'start');
+        rule.end = readNumber(row, 'end');
+    }
+
+    if (rule.mode === 'allowance') {
+        rule.allowanceMs = readNumber(row, 'allowance') * MIN;
+    } else if (rule.mode === 'budget') {
+        rule.budgetMs = readNumber(row, 'budget') * MIN;
+    } else if (rule.mode === 'visits') {
+        rule.maxVisits = readNumber(row, 'maxVisits');
+        rule.visitDurationMs = readNumber(row, 'visitDuration') * MIN;
+        rule.visitReset = field(row, 'visitReset').value;
+    }
+
+    if (field(row, 'hasLunch').checked) {
+        rule.lunch = {
+            start: readNumber(row, 'lunchStart'),
+            end: readNumber(row, 'lunchEnd'),
+            durationMs: readNumber(row, 'lunchDuration') * MIN,
+            maxSessions: readNumber(row, 'lunchMax')
+        };
+        if (field(row, 'lunchMaxPerWeek').value.trim() !== '') {
+            rule.lunch.maxPerWeek = readNumber(row, 'lunchMaxPerWeek');
+        }
+    }
+
+    return rule;
+}
+
+// Only filled-in limits are kept
+function readGraceLimits(card) {
+    const limits = {};
+    const read = (name, key, unit = 1) => {
+        if (field(card, name).value.trim() !== '') limits[key] = readNumber(card, name) * unit;
+    };
+    read('graceMaxPerDay', 'maxPerDay');
+    read('graceMaxPerWeek', 'maxPerWeek');
+    read('graceMaxMinutes', 'maxDailyMs', MIN);
+    read('graceGap', 'minGapMs', MIN);
+    return limits;
+}
+
+function readGroup(card) {
+    const config = {
+        hosts: readLines(card, 'hosts'),
+        exceptions: readLines(card, 'exceptions'),
+        challenge: field(card, 'challenge').value,
+        rules: [...card.querySelectorAll('.rule')].map(readRule)
+    };
+    const graceLimits = readGraceLimits(card);
+    if (Object.keys(graceLimits).length > 0) {
+        config.graceLimits = graceLimits;
+    }
+    return { name: field(card, 'name').value.trim(), config };
+}
+
+function collectPolicies() {
+    const policies = {};
+    const errors = [];
+    for (const card of document.querySelectorAll('.group-card')) {
+        const { name, config } = readGroup(card);
+        if (policies[name]) {
+            errors.push(`Group "${name}" is defined more than once`);
+        }
+        policies[name] = config;
+    }
+    return { policies, errors };
+}
+
+function showStatus(messages, type, containerId = 'save-status') {
+    const container = document.getElementById(containerId);
+    container.innerHTML = messages.map(m => `<p class="status ${type}">${escapeHtml(m)}</p>`).join('');
+}
+
+async function loadPolicies() {
+    const response = await chrome.runtime.sendMessage({ action: 'getPolicies' });
+    if (!response.policies) {
+        showStatus([`Failed to load policies: ${response.error}`], 'warning');
+        return;
+    }
+    defaults = response.defaults;
+    renderPolicies(response.policies);
+    renderPendingChanges(response.pending || []);
+}
+
+function formatApplyAt(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+function renderPendingChanges(pending) {
+    const container = document.getElementById('pending-changes');
+    if (pending.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = '<h3>Waiting to Apply</h3>' + pending.map(change => `
+        <div class="pending-change">
+            <p>${change.error
+                ? `<span class="status warning">Could not be applied: ${escapeHtml(change.error)}</span>`
+                : `Applies ${escapeHtml(formatApplyAt(change.applyAt))}`}</p>
+            <ul>${change.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>
+            <button class="secondary small" data-cancel="${escapeHtml(change.id)}">Cancel</button>
+        </div>`).join('');
+
+    for (const button of container.querySelectorAll('[data-cancel]')) {
+        button.addEventListener('click', async () => {
+            const result = await chrome.runtime.sendMessage({ action: 'cancelPendingChange', id: button.dataset.cancel });
+            renderPendingChanges(result.pending || []);
+        });
+    }
+}
+
+document.getElementById('add-group').addEventListener('click', () => {
+    const container = document.getElementById('groups');
+    container.querySelector('.no-data')?.remove();
+    const card = renderGroup('', { hosts: [], rules: [{ mode: 'block', graceDurationMs: 5 * MIN }] });
+    container.appendChild(card);
+    card.querySelector('[data-field="name"]').focus();
+});
+
+document.getElementById('add-allowlist').addEventListener('click', () => {
+    const container = document.getElementById('groups');
+    container.querySelector('.no-data')?.remove();
+    container.appendChild(renderGroup(ALLOWLIST_GROUP, {
+        hosts: [],
+        rules: [{ label: 'work hours', days: [1, 2, 3, 4, 5], start: 9, end: 17, mode: 'block', graceDurationMs: 5 * MIN }]
+    }));
+    updateAllowlistButton();
+    container.querySelector('.group-card.allowlist [data-field="hosts"]').focus();
+});
+
+document.getElementById('reset-defaults').addEventListener('click', () => {
+    if (confirm('Replace the groups below with the defaults? Nothing is saved until you click Save Changes.')) {
+        renderPolicies(defaults);
+        showStatus([], 'success');
+    }
+});
+
+document.getElementById('save-policies').addEventListener('click', async () => {
+    const { policies, errors } = collectPolicies();
+    if (errors.length > 0) {
+        showStatus(errors, 'warning');
+        return;
+    }
+
+    const result = await chrome.runtime.sendMessage({ action: 'savePolicies', policies });
+    if (!result.success) {
+        showStatus(result.errors || ['Save failed'], 'warning');
+        return;
+    }
+
+    renderPolicies(result.policies);
+    renderPendingChanges(result.pending || []);
+    if (result.queued) {
+        showStatus([`Stricter changes saved. Loosening changes apply ${formatApplyAt(result.queued.applyAt)}:`, ...result.queued.reasons], 'warning');
+    } else {
+        showStatus(['Policies saved'], 'success');
+    }
+});
+
+document.getElementById('save-lock').addEventListener('click', async () => {
+    const { settings } = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    const policyLock = { delayHours: Number(document.getElementById('lock-delay').value) };
+    const result = await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { ...settings, policyLock } });
+    if (!result.success) {
+        showStatus(result.errors || ['Save failed'], 'warning', 'lock-status');
+        return;
+    }
+
+    document.getElementById('lock-delay').value = result.settings.policyLock.delayHours;
+    if (result.queued) {
+        showStatus([`The shorter delay applies ${formatApplyAt(result.queued.applyAt)}`], 'warning', 'lock-status');
+        const { pending } = await chrome.runtime.sendMessage({ action: 'getPolicies' });
+        renderPendingChanges(pending || []);
+    } else {
+        showStatus(['Change delay saved'], 'success', 'lock-status');
+    }
+});
+
+// Archive layout: backup.json (format marker), state.json, policies.json, aggregates.json,
+// unlocks.json and usage/<date>.json per day
+const BACKUP_FORMAT = 'outer-control-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+async function buildBackupZip(backup) {
+    const zip = new JSZip();
+    zip.file('backup.json', JSON.stringify({
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        dataVersion: backup.state.dataVersion
+    }, null, 2));
+    zip.file('state.json', JSON.stringify(backup.state, null, 2));
+    zip.file('policies.json', JSON.stringify(backup.policies, null, 2));
+    zip.file('aggregates.json', JSON.stringify(backup.aggregates));
+    zip.file('unlocks.json', JSON.stringify(backup.unlocks));
+
+    const usageFolder = zip.folder('usage');
+    for (const [date, data] of Object.entries(backup.usage)) {
+        usageFolder.file(`${date}.json`, JSON.stringify(data));
+    }
+
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+async function readJsonFile(zip, path) {
+    const file = zip.file(path);
+    if (!file) {
+        throw new Error(`${path} is missing from the backup`);
+    }
+    try {
+        return JSON.parse(await file.async('string'));
+    } catch (e) {
+        throw new Error(`${path} is not valid JSON (${e.message})`);
+    }
+}
+
+async function readBackupZip(file) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (e) {
+        throw new Error(`Not a ZIP file (${e.message})`);
+    }
+
+    const info = await readJsonFile(zip, 'backup.json');
+    if (info.format !== BACKUP_FORMAT) {
+        throw new Error('Not an Outer-Control backup');
+    }
+    if (info.formatVersion > BACKUP_FORMAT_VERSION) {
+        throw new Error('This backup was made by a newer version of the extension');
+    }
+
+    const usage = {};
+    for (const path of Object.keys(zip.files)) {
+        const match = path.match(/^usage\/(.+)\.json$/);
+        if (match) {
+            usage[match[1]] = await readJsonFile(zip, path);
+        }
+    }
+
+    return {
+        state: await readJsonFile(zip, 'state.json'),
+        policies: zip.file('policies.json') ? await readJsonFile(zip, 'policies.json') : undefined,
+        aggregates: zip.file('aggregates.json') ? await readJsonFile(zip, 'aggregates.json') : undefined,
+        unlocks: zip.file('unlocks.json') ? await readJsonFile(zip, 'unlocks.json') : undefined,
+        usage
+    };
+}
+
+document.getElementById('create-backup').addEventListener('click', async () => {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'createBackup' });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        const blob = await buildBackupZip(response.backup);
+        const url = URL.createObjectURL(blob);
+        await chrome.downloads.download({
+            url,
+            filename: `outer-control-backup-${getDateKey()}.zip`,
+            saveAs: true
+        });
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        showStatus([`Backup created with ${Object.keys(response.backup.usage).length} days of usage`], 'success', 'backup-status');
+    } catch (e) {
+        console.error('Failed to create backup:', e);
+        showStatus([`Backup failed: ${e.message}`], 'warning', 'backup-status');
+    }
+});
+
+document.getElementById('restore-backup').addEventListener('click', async () => {
+    const file = document.getElementById('restore-file').files[0];
+    if (!file) {
+        showStatus(['Choose a backup file first'], 'warning', 'backup-status');
+        return;
+    }
+
+    const mode = document.querySelector('[name="restore-mode"]:checked').value;
+    if (mode === 'replace' && !confirm('Delete the current usage history and policies and replace them with the backup?')) {
+        return;
+    }
+
+    try {
+        const backup = await readBackupZip(file);
+        const result = await chrome.runtime.sendMessage({ action: 'restoreBackup', backup, mode });
+        if (!result.success) {
+            showStatus(result.errors || ['Restore failed'], 'warning', 'backup-status');
+            return;
+        }
+
+        await loadPolicies();
+        showStatus([`Restored ${result.days} days of usage`, ...result.warnings], result.warnings.length > 0 ? 'warning' : 'success', 'backup-status');
+    } catch (e) {
+        console.error('Failed to restore backup:', e);
+        showStatus([`Restore failed: ${e.message}`], 'warning', 'backup-status');
+    }
+});
+
+const CSV_COLUMNS = ['date', 'domain', 'total_seconds', 'views', 'temp_access_count', 'first_access', 'last_access'];
+
+function parseTimestamp(value) {
+    if (!value) return null;
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+}
+
+// Parses the popup's usage CSV into { [date]: { [domain]: entry } }. Rows exported from
+// old numeric-only records have zero counts and empty timestamps, and rows with only
+// date, domain and seconds are accepted too.
+function parseUsageCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const header = (lines.shift() || '').split(',').map(column => column.trim());
+    if (header.slice(0, 3).join(',') !== CSV_COLUMNS.slice(0, 3).join(',')) {
+        throw new Error(`Unexpected header, expected ${CSV_COLUMNS.join(',')}`);
+    }
+
+    const days = {};
+    const errors = [];
+    let rows = 0;
+    lines.forEach((line, i) => {
+        const [date, domain, seconds, views, tempAccessCount, firstAccess, lastAccess] = line.split(',').map(value => value.trim());
+        const lineNumber = i + 2;
+
+        // Pseudo-domains such as __lunch__ hold counters, not time
+        if (domain?.startsWith('__')) return;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !domain) {
+            errors.push(`Line ${lineNumber}: missing date or domain`);
+            return;
+        }
+        const time = Number(seconds);
+        if (!Number.isFinite(time) || time < 0) {
+            errors.push(`Line ${lineNumber}: "${seconds}" is not a number of seconds`);
+            return;
+        }
+
+        if (!days[date]) days[date] = {};
+        days[date][domain] = {
+            time: time * 1000,
+            views: Number(views) || 0,
+            tempAccessCount: Number(tempAccessCount) || 0,
+            firstAccess: parseTimestamp(firstAccess),
+            lastAccess: parseTimestamp(lastAccess)
+        };
+        rows++;
+    });
+
+    return { days, rows, errors };
+}
+
+let pendingImport = null;
+
+function renderImportPreview({ days, rows, errors }) {
+    const dates = Object.keys(days).sort();
+    const domains = new Set(Object.values(days).flatMap(day => Object.keys(day)));
+    const preview = document.getElementById('import-preview');
+
+    if (dates.length === 0) {
+        preview.innerHTML = '<p class="status warning">The file has no usage rows to import</p>';
+    } else {
+        const listed = [...domains].sort().slice(0, 20);
+        preview.innerHTML = `
+            <p>${rows} rows covering ${dates.length} days (${dates[0]} to ${dates[dates.length - 1]}) and ${domains.size} domains:</p>
+            <ul>${listed.map(domain => `<li>${escapeHtml(domain)}</li>`).join('')}</ul>
+            ${domains.size > listed.length ? `<p>and ${domains.size - listed.length} more</p>` : ''}
+        `;
+    }
+    if (errors.length > 0) {
+        preview.innerHTML += `<p class="status warning">${errors.length} rows will be skipped:</p><ul>${errors.slice(0, 10).map(e => `<li>${escapeHtml(e)}</li>`).join('')}</ul>`;
+    }
+}
+
+document.getElementById('import-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    const button = document.getElementById('import-usage');
+    pendingImport = null;
+    button.disabled = true;
+    document.getElementById('import-preview').innerHTML = '';
+    showStatus([], 'success', 'import-status');
+    if (!file) return;
+
+    try {
+        const parsed = parseUsageCsv(await file.text());
+        renderImportPreview(parsed);
+        if (Object.keys(parsed.days).length > 0) {
+            pendingImport = parsed;
+            button.disabled = false;
+        }
+    } catch (err) {
+        showStatus([`Cannot read CSV: ${err.message}`], 'warning', 'import-status');
+    }
+});
+
+document.getElementById('import-usage').addEventListener('click', async () => {
+    if (!pendingImport) return;
+
+    const mode = document.querySelector('[name="import-mode"]:checked').value;
+    try {
+        const result = await chrome.runtime.sendMessage({ action: 'importUsage', days: pendingImport.days, mode });
+        if (!result.success) {
+            showStatus(result.errors || ['Import failed'], 'warning', 'import-status');
+            return;
+        }
+        showStatus([`Imported ${result.entries} entries into ${result.days} days`], 'success', 'import-status');
+        pendingImport = null;
+        document.getElementById('import-usage').disabled = true;
+    } catch (e) {
+        console.error('Failed to import usage:', e);
+        showStatus([`Import failed: ${e.message}`], 'warning', 'import-status');
+    }
+});
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'unknown';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+function formatAgo(timestamp) {
+    if (!timestamp) return 'never';
+    const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+    return `${formatTime(seconds)} ago (${new Date(timestamp).toLocaleString()})`;
+}
+
+function formatWriteStats(writes) {
+    const minutes = Math.max(1, (Date.now() - writes.since) / 60000);
+    const average = writes.written > 0 ? Math.round(writes.totalDurationMs / writes.written) : 0;
+    let text = `${writes.written} in ${formatTime(Math.round(minutes * 60))} (${(writes.written / minutes).toFixed(1)} per minute, ` +
+        `${writes.coalesced} of ${writes.requested} requests combined, ${average} ms average)`;
+    if (writes.failed > 0) {
+        text += `, ${writes.failed} failed`;
+    }
+    return text;
+}
+
+async function loadStorageHealth() {
+    const container = document.getElementById('storage-health');
+    const response = await chrome.runtime.sendMessage({ action: 'getStorageHealth' });
+    if (!response.success) {
+        container.innerHTML = `<p class="status warning">Storage check failed: ${escapeHtml(response.error)}</p>`;
+        return;
+    }
+
+    const { health, records, lastCompaction, retention, writes } = response;
+    const rows = [
+        ['Read/write check', health.probeOk ? 'OK' : 'Failed'],
+        ['Persistent storage', health.persisted ? 'Granted' : 'Not granted, the browser may clear data when disk space runs low'],
+        ['Space used', health.quota ? `${formatBytes(health.usage)} of ${formatBytes(health.quota)} available` : formatBytes(health.usage)],
+        ['Last save', formatAgo(health.lastSaved)],
+        ['Writes', formatWriteStats(writes)],
+        ['Daily records', records.usageDays ? `${records.usageDays} days, ${records.firstDay} to ${records.lastDay}` : 'none'],
+        ['Combined records', records.aggregates ? `${records.aggregates} periods, from ${records.firstAggregate}` : 'none'],
+        ['Last compaction', lastCompaction ? `${formatAgo(lastCompaction.at)}, ${lastCompaction.days} days combined` : 'never']
+    ];
+    if (health.lastSaveError) {
+        rows.push(['Last save error', health.lastSaveError]);
+    }
+
+    document.getElementById('retention-days').value = retention.detailDays;
+    document.getElementById('retention-rollup').value = retention.rollup;
+    document.getElementById('retention-min').value = retention.minMinutes;
+
+    container.innerHTML = `<table>${rows.map(([label, value]) => `<tr><td>${label}</td><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`;
+    if (!health.probeOk || health.lastSaveError) {
+        container.insertAdjacentHTML('beforeend', '<p class="status warning">Usage may not be saved. Download a backup before changing anything.</p>');
+    }
+}
+
+function readRetention() {
+    return {
+        detailDays: Number(document.getElementById('retention-days').value),
+        rollup: document.getElementById('retention-rollup').value,
+        minMinutes: Number(document.getElementById('retention-min').value)
+    };
+}
+
+document.getElementById('save-retention').addEventListener('click', async () => {
+    const { settings } = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    const result = await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { ...settings, retention: readRetention() } });
+    if (!result.success) {
+        showStatus(result.errors || ['Save failed'], 'warning', 'retention-status');
+        return;
+    }
+    showStatus(['Retention saved, it applies at the next daily compaction'], 'success', 'retention-status');
+});
+
+document.getElementById('compact-now').addEventListener('click', async () => {
+    const { retention } = (await chrome.runtime.sendMessage({ action: 'getSettings' })).settings;
+    if (!confirm(`Combine all usage days older than ${retention.detailDays} days into ${retention.rollup}ly records? This cannot be undone.`)) {
+        return;
+    }
+
+    const response = await chrome.runtime.sendMessage({ action: 'compactUsage' });
+    if (!response.success) {
+        showStatus([`Compaction failed: ${response.error}`], 'warning', 'retention-status');
+        return;
+    }
+    showStatus([`Combined ${response.result.days} days into ${response.result.periods} records`], 'success', 'retention-status');
+    await loadStorageHealth();
+});
+
+async function loadTrackingSettings() {
+    const { settings } = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    document.getElementById('tracking-idle').value = settings.tracking.idleSeconds;
+    document.getElementById('tracking-media').checked = settings.tracking.countMediaWhenIdle;
+    document.getElementById('lock-delay').value = settings.policyLock.delayHours;
+    document.getElementById('unlock-ask').checked = settings.unlocks.askReason;
+    document.getElementById('unlock-require').checked = settings.unlocks.requireReason;
+    document.getElementById('focus-challenge').innerHTML = Object.entries(CHALLENGES).map(([type, { label }]) => `
+        <option value="${type}" ${settings.focus.challenge === type ? 'selected' : ''}>${label}</option>
+    `).join('');
+    document.getElementById('warning-minutes').value = settings.warnings.minutes.join(', ');
+    document.getElementById('warning-notify').checked = settings.warnings.notify;
+    document.getElementById('warning-overlay').checked = settings.warnings.overlay;
+    document.getElementById('wind-down').value = settings.warnings.windDownSeconds;
+}
+
+// Reports a settings save; looser changes wait for the change delay and are listed
+async function showSettingsSaved(result, message, containerId) {
+    if (!result.queued) {
+        showStatus([message], 'success', containerId);
+        return;
+    }
+    showStatus([`${message}. Looser changes apply ${formatApplyAt(result.queued.applyAt)}:`, ...result.queued.reasons], 'warning', containerId);
+    const { pending } = await chrome.runtime.sendMessage({ action: 'getPolicies' });
+    renderPendingChanges(pending || []);
+}
+
+document.getElementById('save-tracking').addEventListener('click', async () => {
+    const { settings } = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    const tracking = {
+        idleSeconds: Number(document.getElementById('tracking-idle').value),
+        countMediaWhenIdle: document.getElementById('tracking-media').checked
+    };
+    const result = await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { ...settings, tracking } });
+    if (!result.success) {
+        showStatus(result.errors || ['Save failed'], 'warning', 'tracking-status');
+        return;
+    }
+    document.getElementById('tracking-idle').value = result.settings.tracking.idleSeconds;
+    document.getElementById('tracking-media').checked = result.settings.tracking.countMediaWhenIdle;
+    await showSettingsSaved(result, 'Tracking settings saved', 'tracking-status');
+});
+
+document.getElementById('save-unlocks').addEventListener('click', async () => {
+    const { settings } = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    const askReason = document.getElementById('unlock-ask').checked;
+    const unlocks = { askReason, requireReason: askReason && document.getElementById('unlock-require').checked };
+    const focus = { challenge: document.getElementById('focus-challenge').value };
+    const result = await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { ...settings, unlocks, focus } });
+    if (!result.success) {
+        showStatus(result.errors || ['Save failed'], 'warning', 'unlocks-status');
+        return;
+    }
+    document.getElementById('unlock-ask').checked = result.settings.unlocks.askReason;
+    document.getElementById('unlock-require').checked = result.settings.unlocks.requireReason;
+    document.getElementById('focus-challenge').value = result.settings.focus.challenge;
+    await showSettingsSaved(result, 'Unlock settings saved', 'unlocks-status');
+});
+
+document.getElementById('save-warnings').addEventListener('click', async () => {
+    const { settings } = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    const minutes = document.getElementById('warning-minutes').value
+        .split(',')
+        .map(value => value.trim())
+        .filter(Boolean)
+        .map(Number);
+    const warnings = {
+        // Largest first, the order they go off in
+        minutes: [...new Set(minutes)].sort((a, b) => b - a),
+        notify: document.getElementById('warning-notify').checked,
+        overlay: document.getElementById('warning-overlay').checked,
+        windDownSeconds: Number(document.getElementById('wind-down').value)
+    };
+    const result = await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { ...settings, warnings } });
+    if (!result.success) {
+        showStatus(result.errors || ['Save failed'], 'warning', 'warnings-status');
+        return;
+    }
+    document.getElementById('warning-minutes').value = result.settings.warnings.minutes.join(', ');
+    document.getElementById('wind-down').value = result.settings.warnings.windDownSeconds;
+    await showSettingsSaved(result, 'Warning settings saved', 'warnings-status');
+});
+
+loadTrackingSettings().catch(err => {
+    console.error('Failed to load tracking settings:', err);
+    showStatus([`Failed to load tracking settings: ${err.message}`], 'warning', 'tracking-status');
+});
+
+loadStorageHealth().catch(err => {
+    console.error('Failed to load storage health:', err);
+    document.getElementById('storage-health').innerHTML = `<p class="status warning">Storage check failed: ${escapeHtml(err.message)}</p>`;
+});
+
+loadPolicies().catch(err => {
+    console.error('Failed to load policies:', err);
+    showStatus([`Failed to load policies: ${err.message}`], 'warning');
+});
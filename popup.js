@@ -1,5 +1,86 @@
-import { getAllUsageForExport } from './common/idb.js';
+import { getAllUsageForExport, getAllUnlocksFromIDB } from './common/idb.js';
 import { formatTime, formatTimeRemaining } from './common/time.js';
+import { showChallenge } from './common/challenges.js';
+import { groupLabel } from './common/policies.js';
+
+function buildDailyCsv(allUsage) {
+    let csv = 'date,domain,total_seconds,views,temp_access_count,first_access,last_access\n';
+
+    for (const entry of allUsage) {
+        const data = entry.data || {};
+        const rows = Object.entries(data)
+            .filter(([domain]) => !domain.startsWith('__'))
+            .map(([domain, entryData]) => ({
+                domain,
+                seconds: Math.round(entryData.time / 1000),
+                views: entryData.views,
+                tempAccessCount: entryData.tempAccessCount,
+                firstAccess: entryData.firstAccess ? new Date(entryData.firstAccess).toISOString() : '',
+                lastAccess: entryData.lastAccess ? new Date(entryData.lastAccess).toISOString() : ''
+            }))
+            .sort((a, b) => b.seconds - a.seconds);
+
+        for (const row of rows) {
+            csv += `${entry.date},${row.domain},${row.seconds},${row.views},${row.tempAccessCount},${row.firstAccess},${row.lastAccess}\n`;
+        }
+    }
+
+    return csv;
+}
+
+// One row per domain and hour of the day; days recorded before hourly tracking have no rows
+function buildHourlyCsv(allUsage) {
+    let csv = 'date,domain,hour,seconds\n';
+
+    for (const entry of allUsage) {
+        for (const [domain, entryData] of Object.entries(entry.data || {})) {
+            if (!entryData.hours) continue;
+            const hours = Object.entries(entryData.hours).sort(([a], [b]) => a - b);
+            for (const [hour, ms] of hours) {
+                csv += `${entry.date},${domain},${hour},${Math.round(ms / 1000)}\n`;
+            }
+        }
+    }
+
+    return csv;
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildUnlocksCsv(unlocks) {
+    let csv = 'time,date,domain,group,type,duration_seconds,reason\n';
+    for (const unlock of unlocks) {
+        const fields = [new Date(unlock.at).toISOString(), unlock.date, unlock.host, unlock.group || '', unlock.type, Math.round(unlock.durationMs / 1000), unlock.reason];
+        csv += fields.map(csvField).join(',') + '\n';
+    }
+    return csv;
+}
+
+async function downloadCsv(csv, filename) {
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    await chrome.downloads.download({ url, filename, saveAs: true });
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.getElementById('download-unlocks').addEventListener('click', async () => {
+    try {
+        const unlocks = await getAllUnlocksFromIDB();
+        if (unlocks.length === 0) {
+            showToast('No unlocks logged yet');
+            return;
+        }
+
+        await downloadCsv(buildUnlocksCsv(unlocks), 'outer-control-unlocks.csv');
+        showToast(`Exported ${unlocks.length} unlocks`);
+    } catch (e) {
+        console.error('Failed to export unlock log:', e);
+        showToast('Export failed: ' + e.message);
+    }
+});
 
 document.getElementById('download-csv').addEventListener('click', async () => {
     try {
@@ -10,53 +91,25 @@ document.getElementById('download-csv').addEventListener('click', async () => {
             return;
         }
 
-        let csv = 'date,domain,total_seconds,views,temp_access_count,first_access,last_access\n';
-
-        for (const entry of allUsage) {
-            const data = entry.data || {};
-            const rows = Object.entries(data)
-                .map(([domain, entryData]) => {
-                    let seconds, views, tempAccessCount, firstAccess, lastAccess;
-                    if (typeof entryData === 'number') {
-                        seconds = Math.round(entryData / 1000);
-                        views = 0;
-                        tempAccessCount = 0;
-                        firstAccess = '';
-                        lastAccess = '';
-                    } else {
-                        seconds = Math.round(entryData.time / 1000);
-                        views = entryData.views || 0;
-                        tempAccessCount = entryData.tempAccessCount || 0;
-                        firstAccess = entryData.firstAccess ? new Date(entryData.firstAccess).toISOString() : '';
-                        lastAccess = entryData.lastAccess ? new Date(entryData.lastAccess).toISOString() : '';
-                    }
-                    return { domain, seconds, views, tempAccessCount, firstAccess, lastAccess };
-                })
-                .sort((a, b) => b.seconds - a.seconds);
-
-            for (const row of rows) {
-                csv += `${entry.date},${row.domain},${row.seconds},${row.views},${row.tempAccessCount},${row.firstAccess},${row.lastAccess}\n`;
-            }
-        }
-
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-
-        await chrome.downloads.download({
-            url: url,
-            filename: 'outer-control-usage.csv',
-            saveAs: true
-        });
+        const hourly = document.getElementById('csv-hourly').checked;
+        const csv = hourly ? buildHourlyCsv(allUsage) : buildDailyCsv(allUsage);
+        await downloadCsv(csv, hourly ? 'outer-control-usage-hourly.csv' : 'outer-control-usage.csv');
 
         showToast(`Exported ${allUsage.length} days of usage data`);
-
-        setTimeout(() => URL.revokeObjectURL(url), 1000);
     } catch (e) {
         console.error('Failed to export CSV:', e);
         showToast('Export failed: ' + e.message);
     }
 });
 
+document.getElementById('open-options').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+});
+
+document.getElementById('open-dashboard').addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+});
+
 function showToast(message) {
     const toast = document.createElement('div');
     toast.textContent = message;
@@ -93,20 +146,18 @@ async function loadCurrentSite() {
             html += `<p class="status info">Session active: ${formatTimeRemaining(info.sessionRemaining)} remaining</p>`;
         }
 
-        if (info.group === 'hackerNews') {
-            if (info.visitsRemaining !== undefined) {
-                html += `<p class="status success">${info.visitsRemaining} visits remaining</p>`;
-            }
-            if (info.resetIn) {
-                html += `<p class="status warning">Quota resets in ${formatTimeRemaining(info.resetIn)}</p>`;
-            }
-        } else if (info.group === 'streaming') {
-            html += `<p class="status ${info.status.includes('Blocked') ? 'warning' : 'success'}">${info.status}</p>`;
-            if (info.lunchAvailable) {
-                html += `<p class="status info">Lunch session available</p>`;
-            }
-        } else if (info.group === 'social') {
-            html += `<p class="status warning">${info.status}</p>`;
+        html += `<p class="status ${info.blocked ? 'warning' : 'success'}">${groupLabel(info.group)}: ${info.status}</p>`;
+        if (info.visitsRemaining !== undefined) {
+            html += `<p class="status success">${info.visitsRemaining} visits remaining</p>`;
+        }
+        if (info.resetIn) {
+            html += `<p class="status warning">Quota resets in ${formatTimeRemaining(info.resetIn)}</p>`;
+        }
+        if (info.budgetRemaining !== undefined) {
+            html += `<p class="status info">Time budget left today: ${formatTimeRemaining(info.budgetRemaining)}</p>`;
+        }
+        if (info.lunchAvailable) {
+            html += `<p class="status info">Lunch session available</p>`;
         }
     } else {
         html += '<p class="status">Not restricted</p>';
@@ -115,6 +166,67 @@ async function loadCurrentSite() {
     container.innerHTML = html;
 }
 
+let focusChallenge = null;
+
+async function loadFocus() {
+    const response = await chrome.runtime.sendMessage({ action: 'getFocus' });
+    const focus = response.focus;
+
+    document.getElementById('focus-idle').style.display = focus ? 'none' : 'block';
+    document.getElementById('focus-active').style.display = focus ? 'block' : 'none';
+    if (!focus) {
+        focusChallenge = null;
+        document.getElementById('focus-challenge-section').style.display = 'none';
+        document.getElementById('end-focus').style.display = '';
+        return;
+    }
+
+    const until = new Date(focus.endsAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const remaining = formatTimeRemaining(Math.ceil((focus.endsAt - Date.now()) / 1000));
+    document.getElementById('focus-status').textContent = `Focusing until ${until} (${remaining} left)`;
+}
+
+// The background issues and checks the challenge; this only shows it
+function showFocusChallenge(challenge) {
+    focusChallenge = showChallenge(challenge, document.getElementById('focus-challenge'));
+    document.getElementById('focus-challenge-section').style.display = 'block';
+    document.getElementById('end-focus').style.display = 'none';
+}
+
+document.getElementById('start-focus').addEventListener('click', async () => {
+    const minutes = parseInt(document.getElementById('focus-duration').value, 10);
+    const response = await chrome.runtime.sendMessage({ action: 'startFocus', durationMs: minutes * 60 * 1000 });
+    if (!response?.success) {
+        showToast(response?.error || 'Could not start focus');
+    }
+    await loadFocus();
+    await loadCurrentSite();
+});
+
+document.getElementById('end-focus').addEventListener('click', async () => {
+    const response = await chrome.runtime.sendMessage({ action: 'getFocusChallenge' });
+    if (!response?.success) {
+        showToast(response?.error || 'Could not load the challenge');
+        await loadFocus();
+        return;
+    }
+    showFocusChallenge(response.challenge);
+});
+
+document.getElementById('focus-challenge-button').addEventListener('click', async () => {
+    if (!focusChallenge) return;
+    const response = await chrome.runtime.sendMessage({ action: 'endFocus', answer: focusChallenge.read() });
+    if (!response?.success) {
+        showToast(response?.error || 'Could not end focus');
+        if (response?.challenge) {
+            showFocusChallenge(response.challenge);
+        }
+        return;
+    }
+    await loadFocus();
+    await loadCurrentSite();
+});
+
 async function loadUsage() {
     const container = document.getElementById('usage-table');
     try {
@@ -124,18 +236,11 @@ async function loadUsage() {
         const sites = Object.entries(usage)
             .filter(([domain]) => !domain.startsWith('__'))
             .map(([domain, data]) => {
-                let seconds, views;
-                if (typeof data === 'number') {
-                    seconds = Math.round(data / 1000);
-                    views = 0;
-                } else {
-                    seconds = Math.round(data.time / 1000);
-                    views = data.views || 0;
-                }
+                const seconds = Math.round(data.time / 1000);
                 return {
                     domain,
                     seconds,
-                    views,
+                    views: data.views,
                     formatted: formatTime(seconds)
                 };
             })
@@ -166,10 +271,12 @@ async function loadUsage() {
 }
 
 loadCurrentSite();
+loadFocus();
 loadUsage();
 
 // Refresh every 5 seconds
 setInterval(() => {
     loadCurrentSite();
+    loadFocus();
     loadUsage();
 }, 5000);
@@ -0,0 +1,17 @@
+// Runs in the page's own JavaScript world, where single-page apps call the history API.
+// Content scripts live in an isolated world and cannot see those calls, so announce
+// them with a DOM event that content.js listens for.
+(function() {
+    // The script can be injected again into a page that already has it
+    if (window.top !== window || history.pushState.__outerControl) return;
+
+    for (const method of ['pushState', 'replaceState']) {
+        const original = history[method];
+        history[method] = function(...args) {
+            const result = original.apply(this, args);
+            window.dispatchEvent(new Event('outercontrol:locationchange'));
+            return result;
+        };
+        history[method].__outerControl = true;
+    }
+})();
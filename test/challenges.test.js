@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { issueChallenge, verifyChallenge } from '../common/challenges.js';
+
+const issuedAt = new Date(2026, 9, 21, 12).getTime();
+
+test('an issued countdown passes only once its time has run', () => {
+    const issued = issueChallenge('countdown', 2, issuedAt);
+    assert.deepEqual(issued.prompt, { seconds: 120 });
+    assert.equal(verifyChallenge(issued, '', issuedAt + 60000).message, 'Keep waiting, 60 seconds left.');
+    assert.equal(verifyChallenge(issued, '', issuedAt + 120000).passed, true);
+});
+
+test('a wrong answer asks for a new code or problem, but not new text', () => {
+    const math = issueChallenge('math', 0, issuedAt);
+    const { a, b, c } = math.prompt;
+    assert.equal(verifyChallenge(math, String(a * b + c)).passed, true);
+    assert.equal(verifyChallenge(math, '').reissue, true);
+
+    const code = issueChallenge('code', 1, issuedAt);
+    assert.equal(code.prompt.code.length, 24);
+    assert.equal(verifyChallenge(code, code.prompt.code.toLowerCase().replace(/(.{8})/g, '$1 ')).passed, true);
+    assert.equal(verifyChallenge(code, 'x').reissue, true);
+
+    const sentence = issueChallenge('sentence', 0, issuedAt);
+    assert.equal(verifyChallenge(sentence, ` ${sentence.prompt.text} `).passed, true);
+    assert.equal(verifyChallenge(sentence, 'x').reissue, undefined);
+});
+
+test('an unknown type falls back to the default challenge', () => {
+    assert.equal(issueChallenge('nope', 0, issuedAt).type, 'code');
+});
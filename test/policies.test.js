@@ -0,0 +1,113 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ALLOWLIST_GROUP, buildDomainMap, hasRegexExceptions, lookupGroup, mergeGroupChange, parsePattern, patternToUrlRegex, splitLoosening } from '../common/policies.js';
+
+const policies = {
+    video: {
+        hosts: ['youtube.com'],
+        exceptions: ['re:^https://www\\.youtube\\.com/watch\\?v=lecture'],
+        rules: [{ mode: 'block' }]
+    },
+    social: {
+        hosts: ['reddit.com'],
+        exceptions: ['reddit.com/r/learnprogramming/*'],
+        rules: [{ mode: 'block' }]
+    }
+};
+
+test('a re: exception lets the URL through lookupGroup', () => {
+    const domainMap = buildDomainMap(policies);
+    assert.equal(lookupGroup('https://www.youtube.com/watch?v=lecture1', domainMap), null);
+    assert.equal(lookupGroup('https://www.youtube.com/watch?v=other', domainMap).group, 'video');
+});
+
+test('groups with re: exceptions are kept out of the network rules', () => {
+    assert.equal(hasRegexExceptions(policies.video), true);
+    assert.equal(hasRegexExceptions(policies.social), false);
+    assert.equal(hasRegexExceptions({ hosts: ['example.com'] }), false);
+});
+
+test('host and path exceptions become network regexes matching the same URLs', () => {
+    const regex = new RegExp(`^${patternToUrlRegex(parsePattern(policies.social.exceptions[0]))}$`, 'i');
+    assert.ok(regex.test('https://old.reddit.com/r/learnprogramming/comments'));
+    assert.ok(!regex.test('https://reddit.com/r/funny'));
+    assert.equal(lookupGroup('https://old.reddit.com/r/learnprogramming/comments', buildDomainMap(policies)), null);
+});
+
+test('a queued change keeps what was tightened while it waited', () => {
+    const base = { hosts: ['reddit.com', 'x.com'], rules: [{ mode: 'block' }] };
+    // Queued: drop x.com and switch to an allowance
+    const target = { hosts: ['reddit.com'], rules: [{ mode: 'allowance', allowanceMs: 600000 }] };
+    // Saved during the cooldown: add a host and a challenge
+    const current = { hosts: ['reddit.com', 'x.com', 'tiktok.com'], rules: [{ mode: 'block' }], challenge: 'math' };
+
+    assert.deepEqual(mergeGroupChange(current, base, target), {
+        hosts: ['reddit.com', 'tiktok.com'],
+        rules: [{ mode: 'allowance', allowanceMs: 600000 }],
+        challenge: 'math'
+    });
+});
+
+test('a queued change without a base or to a removed group applies as it is', () => {
+    const target = { hosts: ['reddit.com'], rules: [{ mode: 'block' }] };
+    assert.equal(mergeGroupChange({ hosts: ['x.com'] }, undefined, target), target);
+    assert.equal(mergeGroupChange(undefined, null, target), target);
+    assert.equal(mergeGroupChange({ hosts: ['x.com'] }, { hosts: ['x.com'] }, null), null);
+});
+
+test('the stricter part of a mixed change applies at once', () => {
+    const prev = { hosts: ['reddit.com', 'x.com'], rules: [{ mode: 'block', graceDurationMs: 300000 }] };
+    const next = { hosts: ['reddit.com', 'tiktok.com'], rules: [{ mode: 'block', graceDurationMs: 900000 }] };
+    const { immediate, reasons } = splitLoosening('social', prev, next);
+
+    assert.deepEqual(immediate, { hosts: ['reddit.com', 'x.com', 'tiktok.com'], rules: prev.rules });
+    assert.equal(reasons.length, 2);
+    // What waits is the rest of the change, carried over onto the immediate version
+    assert.deepEqual(mergeGroupChange(immediate, immediate, next), next);
+});
+
+test('allowlist hosts and exceptions loosen the other way round', () => {
+    const prev = { hosts: ['github.com', 'docs.python.org'], exceptions: ['github.com/explore/*'], rules: [{ mode: 'block' }] };
+    const next = { hosts: ['github.com', 'news.ycombinator.com'], exceptions: [], rules: [{ mode: 'block' }] };
+    const { immediate, reasons } = splitLoosening(ALLOWLIST_GROUP, prev, next);
+
+    assert.deepEqual(immediate.hosts, ['github.com']);
+    assert.deepEqual(immediate.exceptions, ['github.com/explore/*']);
+    assert.equal(reasons.length, 2);
+    assert.deepEqual(splitLoosening('social', prev, { ...prev, hosts: [...prev.hosts, 'x.com'] }).reasons, []);
+});
+
+test('a path without a closing * covers the pages below it', () => {
+    const domainMap = buildDomainMap({ social: { hosts: ['reddit.com/r/all'], rules: [{ mode: 'block' }] } });
+    const network = new RegExp(`^${patternToUrlRegex(parsePattern('reddit.com/r/all'))}$`, 'i');
+    const covered = [
+        'https://www.reddit.com/r/all',
+        'https://www.reddit.com/r/all/',
+        'https://www.reddit.com/r/all?sort=top',
+        'https://www.reddit.com/r/all/top/?t=day'
+    ];
+    for (const url of covered) {
+        assert.equal(lookupGroup(url, domainMap)?.group, 'social', url);
+        assert.ok(network.test(url), url);
+    }
+    for (const url of ['https://www.reddit.com/r/allthings', 'https://www.reddit.com/r/funny']) {
+        assert.equal(lookupGroup(url, domainMap), null, url);
+        assert.ok(!network.test(url), url);
+    }
+});
+
+test('an exception path covers its subpages', () => {
+    const domainMap = buildDomainMap({ social: { hosts: ['reddit.com'], exceptions: ['reddit.com/r/learnprogramming/'], rules: [{ mode: 'block' }] } });
+    assert.equal(lookupGroup('https://www.reddit.com/r/learnprogramming/comments/abc/', domainMap), null);
+    assert.equal(lookupGroup('https://www.reddit.com/r/learnprogramming?sort=new', domainMap), null);
+    assert.equal(lookupGroup('https://www.reddit.com/r/learnpython', domainMap).group, 'social');
+});
+
+test('a pattern with a query allows more parameters, and a closing * stays a glob', () => {
+    const watch = parsePattern('youtube.com/watch?v=abc');
+    assert.ok(watch.path.test('/watch?v=abc&t=30'));
+    assert.ok(!watch.path.test('/watch?v=abcd'));
+    const shorts = parsePattern('youtube.com/shorts/*');
+    assert.ok(shorts.path.test('/shorts/xyz'));
+    assert.ok(!shorts.path.test('/shorts'));
+});
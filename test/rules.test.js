@@ -0,0 +1,30 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateGroup, isRuleLooser } from '../common/rules.js';
+
+const lunchRule = { mode: 'block', graceDurationMs: 0, lunch: { start: 11, end: 15, durationMs: 2700000, maxSessions: 2, maxPerWeek: 3 } };
+// A Wednesday at noon, inside the lunch window
+const noon = new Date(2026, 9, 21, 12).getTime();
+
+test('lunch sessions stop once the weekly cap is used', () => {
+    const config = { hosts: ['youtube.com'], rules: [lunchRule] };
+    const open = evaluateGroup('streaming', config, { now: noon, lunchCount: 0, lunchWeekCount: 2 });
+    assert.equal(open.lunchAvailable, true);
+    assert.equal(open.maxLunchPerWeek, 3);
+
+    const used = evaluateGroup('streaming', config, { now: noon, lunchCount: 1, lunchWeekCount: 3 });
+    assert.equal(used.lunchAvailable, undefined);
+    assert.equal(used.lunchWeekCount, 3);
+});
+
+test('the weekly lunch count defaults to the daily one', () => {
+    const config = { hosts: ['youtube.com'], rules: [{ ...lunchRule, lunch: { ...lunchRule.lunch, maxPerWeek: 1 } }] };
+    assert.equal(evaluateGroup('streaming', config, { now: noon, lunchCount: 1 }).lunchAvailable, undefined);
+});
+
+test('raising or dropping the weekly lunch cap loosens the rule', () => {
+    const { maxPerWeek, ...unlimited } = lunchRule.lunch;
+    assert.equal(isRuleLooser({ ...lunchRule, lunch: unlimited }, lunchRule), true);
+    assert.equal(isRuleLooser({ ...lunchRule, lunch: { ...lunchRule.lunch, maxPerWeek: maxPerWeek + 1 } }, lunchRule), true);
+    assert.equal(isRuleLooser(lunchRule, { ...lunchRule, lunch: unlimited }), false);
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, splitSettingsLoosening } from '../common/settings.js';
+
+test('settings that weaken the limits are held back', () => {
+    const next = structuredClone(DEFAULT_SETTINGS);
+    next.tracking.idleSeconds = 30;
+    next.tracking.countMediaWhenIdle = false;
+    next.unlocks.askReason = false;
+    next.warnings.minutes = [10];
+    const { immediate, delayed, reasons } = splitSettingsLoosening(DEFAULT_SETTINGS, next);
+
+    assert.equal(immediate.tracking.idleSeconds, DEFAULT_SETTINGS.tracking.idleSeconds);
+    assert.equal(immediate.tracking.countMediaWhenIdle, true);
+    assert.equal(immediate.unlocks.askReason, true);
+    assert.deepEqual(immediate.warnings.minutes, [10]);
+    assert.deepEqual(delayed, { tracking: { idleSeconds: 30, countMediaWhenIdle: false }, unlocks: { askReason: false } });
+    assert.equal(reasons.length, 3);
+});
+
+test('stricter settings apply at once', () => {
+    const next = structuredClone(DEFAULT_SETTINGS);
+    next.tracking.idleSeconds = 120;
+    next.policyLock.delayHours = 48;
+    next.unlocks.requireReason = true;
+    assert.deepEqual(splitSettingsLoosening(DEFAULT_SETTINGS, next), { immediate: next, delayed: {}, reasons: [] });
+});